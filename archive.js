@@ -0,0 +1,53 @@
+// Minimal .tar.gz writer for small, generated archives such as account data exports. Entries are kept in
+// memory, so it isn't meant for large files. Names are limited to 100 bytes (no ustar prefix support).
+
+const zlib = require('zlib');
+const { promisify } = require('util');
+
+const gzip = promisify(zlib.gzip);
+const BLOCK_SIZE = 512;
+
+// Write `value` as a zero-padded octal number followed by NUL, filling `length` bytes at `offset`
+function writeOctal(header, value, offset, length) {
+  header.write(value.toString(8).padStart(length - 1, '0') + '\0', offset, length, 'ascii');
+}
+
+function tarHeader(name, size, mtime) {
+  const nameBytes = Buffer.from(name, 'utf8');
+  if (nameBytes.length > 100) {
+    throw new Error(`Archive entry name "${name}" is longer than 100 bytes`);
+  }
+  const header = Buffer.alloc(BLOCK_SIZE);
+  nameBytes.copy(header, 0);
+  writeOctal(header, 0o644, 100, 8); // mode
+  writeOctal(header, 0, 108, 8); // uid
+  writeOctal(header, 0, 116, 8); // gid
+  writeOctal(header, size, 124, 12);
+  writeOctal(header, Math.floor(mtime.getTime() / 1000), 136, 12);
+  header.write('        ', 148, 8, 'ascii'); // The checksum is computed with its own field set to spaces
+  header.write('0', 156, 1, 'ascii'); // Regular file
+  header.write('ustar\0', 257, 6, 'ascii');
+  header.write('00', 263, 2, 'ascii');
+
+  let checksum = 0;
+  for (const byte of header) {
+    checksum += byte;
+  }
+  header.write(checksum.toString(8).padStart(6, '0') + '\0 ', 148, 8, 'ascii');
+  return header;
+}
+
+// Build a gzipped tar archive from [{ name, content }] where content is a string or Buffer
+async function createTarGz(entries, { mtime = new Date() } = {}) {
+  const blocks = [];
+  for (const { name, content } of entries) {
+    const data = Buffer.isBuffer(content) ? content : Buffer.from(String(content), 'utf8');
+    blocks.push(tarHeader(name, data.length, mtime), data);
+    const padding = (BLOCK_SIZE - (data.length % BLOCK_SIZE)) % BLOCK_SIZE;
+    blocks.push(Buffer.alloc(padding));
+  }
+  blocks.push(Buffer.alloc(BLOCK_SIZE * 2)); // End of archive
+  return gzip(Buffer.concat(blocks));
+}
+
+module.exports = { createTarGz };
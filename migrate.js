@@ -0,0 +1,186 @@
+// Schema migrations: numbered files in migrations/ (e.g. 012_add_folders.js) exporting async up(db) and
+// down(db). Applied versions are recorded in schema_migrations. The server applies pending migrations on
+// start (unless MIGRATE_ON_START=false); they can also be run by hand:
+//
+//   node migrate.js up            Apply all pending migrations
+//   node migrate.js down [steps]  Roll back the latest migration(s), 1 by default
+//   node migrate.js status        List migrations and whether they are applied
+//
+// MySQL commits DDL implicitly, so a migration can't be rolled back half way. Keep each one small, and write
+// up() so it can be re-run after a failure (IF NOT EXISTS, db.addColumn, db.addIndex).
+
+const fs = require('fs');
+const path = require('path');
+
+const migrationsDir = path.join(__dirname, 'migrations');
+const MIGRATION_LOCK_NAME = 'vidplo_schema_migrations';
+const MIGRATION_LOCK_TIMEOUT_SECONDS = 60;
+
+function loadMigrations() {
+  return fs.readdirSync(migrationsDir)
+    .map(file => /^(\d+)_(.+)\.js$/.exec(file))
+    .filter(Boolean)
+    .map(([file, version, name]) => ({ version: Number(version), name, file: path.join(migrationsDir, file) }))
+    .sort((a, b) => a.version - b.version);
+}
+
+// Wrap a connection with the schema helpers migrations use; the add/drop helpers skip work that's already done
+function migrationContext(connection) {
+  const columnExists = async (table, column) => {
+    const [rows] = await connection.execute(
+      'SELECT 1 FROM information_schema.COLUMNS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?',
+      [table, column]
+    );
+    return rows.length > 0;
+  };
+  const indexExists = async (table, indexName) => {
+    const [rows] = await connection.execute(
+      'SELECT 1 FROM information_schema.STATISTICS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND INDEX_NAME = ?',
+      [table, indexName]
+    );
+    return rows.length > 0;
+  };
+
+  return {
+    query: (sql, params) => connection.query(sql, params),
+    columnExists,
+    indexExists,
+    async addColumn(table, column, definition) {
+      if (!(await columnExists(table, column))) {
+        await connection.query(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+      }
+    },
+    async dropColumn(table, column) {
+      if (await columnExists(table, column)) {
+        await connection.query(`ALTER TABLE ${table} DROP COLUMN ${column}`);
+      }
+    },
+    async addIndex(table, indexName, columns) {
+      if (!(await indexExists(table, indexName))) {
+        await connection.query(`CREATE INDEX ${indexName} ON ${table} ${columns}`);
+      }
+    },
+    async dropIndex(table, indexName) {
+      if (await indexExists(table, indexName)) {
+        await connection.query(`DROP INDEX ${indexName} ON ${table}`);
+      }
+    }
+  };
+}
+
+// Run `task` on one connection holding a named lock, so two servers starting together don't both migrate
+async function withMigrationLock(pool, task) {
+  const connection = await pool.getConnection();
+  try {
+    const [[{ acquired }]] = await connection.query('SELECT GET_LOCK(?, ?) AS acquired', [MIGRATION_LOCK_NAME, MIGRATION_LOCK_TIMEOUT_SECONDS]);
+    if (acquired !== 1) {
+      throw new Error('Timed out waiting for another process to finish migrating');
+    }
+    try {
+      await connection.query(`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+          version INT PRIMARY KEY,
+          name VARCHAR(255) NOT NULL,
+          applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      return await task(connection);
+    } finally {
+      await connection.query('SELECT RELEASE_LOCK(?)', [MIGRATION_LOCK_NAME]);
+    }
+  } finally {
+    connection.release();
+  }
+}
+
+async function appliedVersions(connection) {
+  const [rows] = await connection.query('SELECT version FROM schema_migrations');
+  return new Set(rows.map(row => row.version));
+}
+
+// Apply every pending migration in order; returns the versions that were applied
+async function runMigrations(pool, { log = console.log } = {}) {
+  return withMigrationLock(pool, async (connection) => {
+    const applied = await appliedVersions(connection);
+    const db = migrationContext(connection);
+    const ran = [];
+
+    for (const migration of loadMigrations()) {
+      if (applied.has(migration.version)) {
+        continue;
+      }
+      log(`Applying migration ${migration.version}_${migration.name}`);
+      await require(migration.file).up(db);
+      await connection.query('INSERT INTO schema_migrations (version, name) VALUES (?, ?)', [migration.version, migration.name]);
+      ran.push(migration.version);
+    }
+    return ran;
+  });
+}
+
+// Roll back the latest `steps` applied migrations; returns the versions that were rolled back
+async function rollbackMigrations(pool, { steps = 1, log = console.log } = {}) {
+  return withMigrationLock(pool, async (connection) => {
+    const applied = await appliedVersions(connection);
+    const db = migrationContext(connection);
+    const targets = loadMigrations().filter(migration => applied.has(migration.version)).reverse().slice(0, steps);
+
+    for (const migration of targets) {
+      log(`Rolling back migration ${migration.version}_${migration.name}`);
+      await require(migration.file).down(db);
+      await connection.query('DELETE FROM schema_migrations WHERE version = ?', [migration.version]);
+    }
+    return targets.map(migration => migration.version);
+  });
+}
+
+async function migrationStatus(pool) {
+  return withMigrationLock(pool, async (connection) => {
+    const applied = await appliedVersions(connection);
+    return loadMigrations().map(({ version, name }) => ({ version, name, applied: applied.has(version) }));
+  });
+}
+
+module.exports = { runMigrations, rollbackMigrations, migrationStatus };
+
+if (require.main === module) {
+  require('dotenv').config();
+  const mysql = require('mysql2/promise');
+
+  const [command = 'up', steps] = process.argv.slice(2);
+  const pool = mysql.createPool({
+    host: process.env.DB_HOST,
+    port: process.env.DB_PORT,
+    database: process.env.DB_DATABASE,
+    user: process.env.DB_USER,
+    password: process.env.DB_PASSWORD
+  });
+
+  const commands = {
+    up: async () => {
+      const ran = await runMigrations(pool);
+      console.log(ran.length > 0 ? `Applied ${ran.length} migration(s)` : 'Database is up to date');
+    },
+    down: async () => {
+      const rolledBack = await rollbackMigrations(pool, { steps: parseInt(steps, 10) || 1 });
+      console.log(`Rolled back ${rolledBack.length} migration(s)`);
+    },
+    status: async () => {
+      for (const { version, name, applied } of await migrationStatus(pool)) {
+        console.log(`${applied ? '[x]' : '[ ]'} ${version}_${name}`);
+      }
+    }
+  };
+
+  if (!commands[command]) {
+    console.error(`Unknown command "${command}", expected one of: ${Object.keys(commands).join(', ')}`);
+    process.exit(1);
+  }
+
+  commands[command]()
+    .catch((error) => {
+      console.error(`Migration failed: ${error.message}`);
+      process.exitCode = 1;
+    })
+    .finally(() => pool.end());
+}
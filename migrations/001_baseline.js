@@ -0,0 +1,60 @@
+// The tables the backend started with, plus `payments`, which the payment integration relies on but
+// nothing used to create. IF NOT EXISTS lets databases that predate migrations adopt this as their baseline.
+
+module.exports = {
+  async up(db) {
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS file_tokens (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        token VARCHAR(255) UNIQUE NOT NULL,
+        file_path VARCHAR(255) NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        user_email VARCHAR(255),
+        file_size BIGINT
+      )
+    `);
+
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS users (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        email VARCHAR(255) UNIQUE NOT NULL,
+        plan ENUM('Free', 'Premium', 'Custom') DEFAULT 'Free',
+        storage_limit BIGINT DEFAULT 5368709120,
+        storage_used BIGINT DEFAULT 0
+      )
+    `);
+
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS file_meta (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        token VARCHAR(255) UNIQUE NOT NULL,
+        size BIGINT NOT NULL,
+        privacy ENUM('public', 'private') NOT NULL DEFAULT 'public',
+        views INT DEFAULT 0,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS payments (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        reference_id VARCHAR(255) UNIQUE NOT NULL,
+        email VARCHAR(255) NOT NULL,
+        plan VARCHAR(64) NOT NULL,
+        amount DECIMAL(18, 8) NULL,
+        currency VARCHAR(16) NULL,
+        payment_status VARCHAR(32) NOT NULL DEFAULT 'pending',
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        INDEX idx_payments_email_status (email, payment_status)
+      )
+    `);
+  },
+
+  async down(db) {
+    await db.query('DROP TABLE IF EXISTS payments');
+    await db.query('DROP TABLE IF EXISTS file_meta');
+    await db.query('DROP TABLE IF EXISTS users');
+    await db.query('DROP TABLE IF EXISTS file_tokens');
+  }
+};
@@ -0,0 +1,24 @@
+// Resumable upload sessions, removed on finalize or once expired
+
+module.exports = {
+  async up(db) {
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS upload_sessions (
+        id VARCHAR(36) PRIMARY KEY,
+        user_email VARCHAR(255) NOT NULL,
+        file_name VARCHAR(255) NOT NULL,
+        privacy ENUM('public', 'private') NOT NULL DEFAULT 'public',
+        upload_length BIGINT NOT NULL,
+        upload_offset BIGINT NOT NULL DEFAULT 0,
+        chunk_size BIGINT NOT NULL,
+        expires_at DATETIME NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_upload_sessions_expires_at (expires_at)
+      )
+    `);
+  },
+
+  async down(db) {
+    await db.query('DROP TABLE IF EXISTS upload_sessions');
+  }
+};
@@ -0,0 +1,26 @@
+// Audit trail of storage usage reconciliation runs, one row per user with a difference
+
+module.exports = {
+  async up(db) {
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS storage_audit (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        run_id VARCHAR(36) NOT NULL,
+        user_email VARCHAR(255) NOT NULL,
+        previous_usage BIGINT NOT NULL,
+        computed_usage BIGINT NOT NULL,
+        delta BIGINT NOT NULL,
+        corrected BOOLEAN NOT NULL DEFAULT FALSE,
+        triggered_by VARCHAR(255) NOT NULL,
+        details TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_storage_audit_user_email (user_email),
+        INDEX idx_storage_audit_run_id (run_id)
+      )
+    `);
+  },
+
+  async down(db) {
+    await db.query('DROP TABLE IF EXISTS storage_audit');
+  }
+};
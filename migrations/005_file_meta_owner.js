@@ -0,0 +1,28 @@
+// File metadata previously kept in uploads/videos/<email>/<fileName>.json, with indexes for /files sorting
+
+module.exports = {
+  async up(db) {
+    await db.addColumn('file_meta', 'file_name', 'VARCHAR(255) NULL');
+    await db.addColumn('file_meta', 'user_email', 'VARCHAR(255) NULL');
+    await db.addColumn('file_meta', 'updated_at', 'TIMESTAMP NULL');
+    await db.query(`
+      UPDATE file_meta fm JOIN file_tokens ft ON ft.token = fm.token
+      SET fm.user_email = ft.user_email, fm.file_name = COALESCE(fm.file_name, SUBSTRING_INDEX(ft.file_path, '/', -1))
+      WHERE fm.user_email IS NULL
+    `); // Backfill rows written before these columns existed
+    await db.addIndex('file_meta', 'idx_file_meta_user_name', '(user_email, file_name, id)');
+    await db.addIndex('file_meta', 'idx_file_meta_user_size', '(user_email, size, id)');
+    await db.addIndex('file_meta', 'idx_file_meta_user_created', '(user_email, created_at, id)');
+    await db.addIndex('file_meta', 'idx_file_meta_user_views', '(user_email, views, id)');
+  },
+
+  async down(db) {
+    await db.dropIndex('file_meta', 'idx_file_meta_user_views');
+    await db.dropIndex('file_meta', 'idx_file_meta_user_created');
+    await db.dropIndex('file_meta', 'idx_file_meta_user_size');
+    await db.dropIndex('file_meta', 'idx_file_meta_user_name');
+    await db.dropColumn('file_meta', 'updated_at');
+    await db.dropColumn('file_meta', 'user_email');
+    await db.dropColumn('file_meta', 'file_name');
+  }
+};
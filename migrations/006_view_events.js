@@ -0,0 +1,21 @@
+// One row per counted view, file_meta.views holds the running total
+
+module.exports = {
+  async up(db) {
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS view_events (
+        id BIGINT AUTO_INCREMENT PRIMARY KEY,
+        token VARCHAR(255) NOT NULL,
+        viewer_hash CHAR(64) NOT NULL,
+        referrer_host VARCHAR(255) NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_view_events_token_created (token, created_at),
+        INDEX idx_view_events_dedup (token, viewer_hash, created_at)
+      )
+    `);
+  },
+
+  async down(db) {
+    await db.query('DROP TABLE IF EXISTS view_events');
+  }
+};
@@ -0,0 +1,23 @@
+// Signed share links for private files
+
+module.exports = {
+  async up(db) {
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS share_links (
+        id VARCHAR(36) PRIMARY KEY,
+        file_token VARCHAR(255) NOT NULL,
+        created_by VARCHAR(255) NOT NULL,
+        expires_at DATETIME NOT NULL,
+        max_uses INT NULL,
+        use_count INT NOT NULL DEFAULT 0,
+        revoked_at TIMESTAMP NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_share_links_file_token (file_token)
+      )
+    `);
+  },
+
+  async down(db) {
+    await db.query('DROP TABLE IF EXISTS share_links');
+  }
+};
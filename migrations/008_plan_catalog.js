@@ -0,0 +1,48 @@
+// Plans move from hard-coded constants to the plans table. users.plan becomes a free-form plan name and
+// storage_limit follows the plan instead of defaulting to 5GB.
+
+const MAX_FILE_SIZE = 5 * 1024 * 1024 * 1024; // 5GB
+const FORMATS = JSON.stringify(['.mp4', '.wav', '.mp3', '.mov', '.avi', '.mkv', '.flv', '.wmv', '.webm', '.m4v', '.3gp', '.ogg']);
+
+module.exports = {
+  async up(db) {
+    await db.query("ALTER TABLE users MODIFY plan VARCHAR(64) DEFAULT 'Free', MODIFY storage_limit BIGINT NULL");
+
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS plans (
+        name VARCHAR(64) PRIMARY KEY,
+        storage_limit BIGINT NOT NULL,
+        max_file_size BIGINT NOT NULL,
+        can_download BOOLEAN NOT NULL DEFAULT FALSE,
+        allowed_formats TEXT NOT NULL,
+        is_default BOOLEAN NOT NULL DEFAULT FALSE,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+      )
+    `);
+
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS plan_aliases (
+        alias VARCHAR(64) PRIMARY KEY,
+        plan_name VARCHAR(64) NOT NULL
+      )
+    `);
+
+    // Seed the tiers that used to be hard-coded; existing rows are left as they are
+    await db.query(
+      `INSERT IGNORE INTO plans (name, storage_limit, max_file_size, can_download, allowed_formats, is_default) VALUES
+        ('Free', 524288000, ?, FALSE, ?, TRUE),
+        ('Premium', 805306368000, ?, TRUE, ?, FALSE),
+        ('Custom', 1649267441664, ?, TRUE, ?, FALSE)`, // 500MB, 750GB and 1.5TB
+      [MAX_FILE_SIZE, FORMATS, MAX_FILE_SIZE, FORMATS, MAX_FILE_SIZE, FORMATS]
+    );
+    await db.query("INSERT IGNORE INTO plan_aliases (alias, plan_name) VALUES ('Pro', 'Premium'), ('Expert', 'Custom')");
+  },
+
+  async down(db) {
+    await db.query('DROP TABLE IF EXISTS plan_aliases');
+    await db.query('DROP TABLE IF EXISTS plans');
+    await db.query("UPDATE users SET plan = 'Free' WHERE plan NOT IN ('Free', 'Premium', 'Custom')");
+    await db.query("ALTER TABLE users MODIFY plan ENUM('Free', 'Premium', 'Custom') DEFAULT 'Free', MODIFY storage_limit BIGINT DEFAULT 5368709120");
+  }
+};
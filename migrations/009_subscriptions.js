@@ -0,0 +1,36 @@
+// Each user's current paid subscription, and the payments that have been applied to it
+
+module.exports = {
+  async up(db) {
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS subscriptions (
+        user_email VARCHAR(255) PRIMARY KEY,
+        plan VARCHAR(64) NOT NULL,
+        status ENUM('active', 'grace', 'expired') NOT NULL DEFAULT 'active',
+        started_at DATETIME NOT NULL,
+        current_period_start DATETIME NOT NULL,
+        current_period_end DATETIME NOT NULL,
+        last_payment_reference VARCHAR(255) NULL,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        INDEX idx_subscriptions_status_end (status, current_period_end)
+      )
+    `);
+
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS subscription_payments (
+        payment_reference VARCHAR(255) PRIMARY KEY,
+        user_email VARCHAR(255) NOT NULL,
+        plan VARCHAR(64) NOT NULL,
+        period_start DATETIME NULL,
+        period_end DATETIME NULL,
+        applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_subscription_payments_user (user_email)
+      )
+    `);
+  },
+
+  async down(db) {
+    await db.query('DROP TABLE IF EXISTS subscription_payments');
+    await db.query('DROP TABLE IF EXISTS subscriptions');
+  }
+};
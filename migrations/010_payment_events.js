@@ -0,0 +1,23 @@
+// Every STE webhook delivery, keyed by event so redeliveries are recognised
+
+module.exports = {
+  async up(db) {
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS payment_events (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        event_id VARCHAR(255) NOT NULL UNIQUE,
+        reference_id VARCHAR(255) NOT NULL,
+        status VARCHAR(32) NOT NULL,
+        previous_status VARCHAR(32) NULL,
+        outcome VARCHAR(32) NOT NULL,
+        payload TEXT NOT NULL,
+        received_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_payment_events_reference (reference_id)
+      )
+    `);
+  },
+
+  async down(db) {
+    await db.query('DROP TABLE IF EXISTS payment_events');
+  }
+};
@@ -0,0 +1,13 @@
+// Uploads, quota checks and listings look files up by owner and by path
+
+module.exports = {
+  async up(db) {
+    await db.addIndex('file_tokens', 'idx_file_tokens_user_email', '(user_email)');
+    await db.addIndex('file_tokens', 'idx_file_tokens_file_path', '(file_path)');
+  },
+
+  async down(db) {
+    await db.dropIndex('file_tokens', 'idx_file_tokens_file_path');
+    await db.dropIndex('file_tokens', 'idx_file_tokens_user_email');
+  }
+};
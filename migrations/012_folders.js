@@ -0,0 +1,25 @@
+// Folders owned by a user, nested through parent_id (NULL at the top level), and the folder each file is in
+
+module.exports = {
+  async up(db) {
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS folders (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        user_email VARCHAR(255) NOT NULL,
+        parent_id INT NULL,
+        name VARCHAR(255) NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        INDEX idx_folders_user_parent (user_email, parent_id, name)
+      )
+    `);
+    await db.addColumn('file_meta', 'folder_id', 'INT NULL');
+    await db.addIndex('file_meta', 'idx_file_meta_user_folder', '(user_email, folder_id)');
+  },
+
+  async down(db) {
+    await db.dropIndex('file_meta', 'idx_file_meta_user_folder');
+    await db.dropColumn('file_meta', 'folder_id');
+    await db.query('DROP TABLE IF EXISTS folders');
+  }
+};
@@ -0,0 +1,40 @@
+// Background jobs (bulk file operations and other long-running work) and free-form tags on files
+
+module.exports = {
+  async up(db) {
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS jobs (
+        id VARCHAR(36) PRIMARY KEY,
+        type VARCHAR(64) NOT NULL,
+        user_email VARCHAR(255) NOT NULL,
+        status ENUM('queued', 'running', 'completed', 'failed') NOT NULL DEFAULT 'queued',
+        params MEDIUMTEXT NOT NULL,
+        total INT NOT NULL DEFAULT 0,
+        processed INT NOT NULL DEFAULT 0,
+        result MEDIUMTEXT NULL,
+        error TEXT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        started_at TIMESTAMP NULL,
+        finished_at TIMESTAMP NULL,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        INDEX idx_jobs_status_created (status, created_at),
+        INDEX idx_jobs_user_email (user_email)
+      )
+    `);
+
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS file_tags (
+        token VARCHAR(255) NOT NULL,
+        tag VARCHAR(64) NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (token, tag),
+        INDEX idx_file_tags_tag (tag)
+      )
+    `);
+  },
+
+  async down(db) {
+    await db.query('DROP TABLE IF EXISTS file_tags');
+    await db.query('DROP TABLE IF EXISTS jobs');
+  }
+};
@@ -0,0 +1,11 @@
+// Container detected from each upload's content (mp4, webm, ...)
+
+module.exports = {
+  async up(db) {
+    await db.addColumn('file_meta', 'container', 'VARCHAR(32) NULL');
+  },
+
+  async down(db) {
+    await db.dropColumn('file_meta', 'container');
+  }
+};
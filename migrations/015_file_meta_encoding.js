@@ -0,0 +1,25 @@
+// Encoding state reported by the storage server's callbacks, one set per file token
+
+module.exports = {
+  async up(db) {
+    await db.addColumn('file_meta', 'encoding_status', 'VARCHAR(16) NULL');
+    await db.addColumn('file_meta', 'encoding_progress', 'TINYINT UNSIGNED NULL');
+    await db.addColumn('file_meta', 'duration_seconds', 'DECIMAL(12,3) NULL');
+    await db.addColumn('file_meta', 'width', 'INT NULL');
+    await db.addColumn('file_meta', 'height', 'INT NULL');
+    await db.addColumn('file_meta', 'renditions', 'TEXT NULL');
+    await db.addColumn('file_meta', 'encoding_error', 'VARCHAR(1024) NULL');
+    await db.addColumn('file_meta', 'encoding_updated_at', 'TIMESTAMP NULL');
+  },
+
+  async down(db) {
+    await db.dropColumn('file_meta', 'encoding_updated_at');
+    await db.dropColumn('file_meta', 'encoding_error');
+    await db.dropColumn('file_meta', 'renditions');
+    await db.dropColumn('file_meta', 'height');
+    await db.dropColumn('file_meta', 'width');
+    await db.dropColumn('file_meta', 'duration_seconds');
+    await db.dropColumn('file_meta', 'encoding_progress');
+    await db.dropColumn('file_meta', 'encoding_status');
+  }
+};
@@ -0,0 +1,44 @@
+// Outbound webhooks: endpoints registered by users and the log of every delivery attempt to them
+
+module.exports = {
+  async up(db) {
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS webhook_endpoints (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        user_email VARCHAR(255) NOT NULL,
+        url VARCHAR(2048) NOT NULL,
+        description VARCHAR(255) NULL,
+        events TEXT NOT NULL,
+        secret VARCHAR(128) NOT NULL,
+        active BOOLEAN NOT NULL DEFAULT TRUE,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        INDEX idx_webhook_endpoints_user_email (user_email)
+      )
+    `);
+
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS webhook_deliveries (
+        id VARCHAR(36) PRIMARY KEY,
+        endpoint_id INT NOT NULL,
+        event_id VARCHAR(36) NOT NULL,
+        event_type VARCHAR(64) NOT NULL,
+        payload MEDIUMTEXT NOT NULL,
+        status ENUM('pending', 'succeeded', 'failed') NOT NULL DEFAULT 'pending',
+        attempts INT NOT NULL DEFAULT 0,
+        next_attempt_at TIMESTAMP NULL DEFAULT CURRENT_TIMESTAMP,
+        last_status_code INT NULL,
+        last_error VARCHAR(1024) NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        delivered_at TIMESTAMP NULL,
+        INDEX idx_webhook_deliveries_due (status, next_attempt_at),
+        INDEX idx_webhook_deliveries_endpoint (endpoint_id, created_at)
+      )
+    `);
+  },
+
+  async down(db) {
+    await db.query('DROP TABLE IF EXISTS webhook_deliveries');
+    await db.query('DROP TABLE IF EXISTS webhook_endpoints');
+  }
+};
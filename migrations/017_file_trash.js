@@ -0,0 +1,16 @@
+// Trash: deleted files keep their file_tokens row, marked with deleted_at, until the purge job removes them.
+// usage_released records whether storage_used was already reduced when the file was trashed.
+
+module.exports = {
+  async up(db) {
+    await db.addColumn('file_tokens', 'deleted_at', 'TIMESTAMP NULL');
+    await db.addColumn('file_tokens', 'usage_released', 'BOOLEAN NOT NULL DEFAULT FALSE');
+    await db.addIndex('file_tokens', 'idx_file_tokens_deleted_at', '(deleted_at)');
+  },
+
+  async down(db) {
+    await db.dropIndex('file_tokens', 'idx_file_tokens_deleted_at');
+    await db.dropColumn('file_tokens', 'usage_released');
+    await db.dropColumn('file_tokens', 'deleted_at');
+  }
+};
@@ -0,0 +1,45 @@
+// Per-plan request rates and upload/download allowances (NULL means unlimited), and the counters behind them
+
+const PLAN_LIMITS = [ // Seeded for the original tiers when the columns are first added
+  ['Free', 120, 20, 2 * 1024 ** 3, 10 * 1024 ** 3],
+  ['Premium', 600, 500, 200 * 1024 ** 3, 2 * 1024 ** 4],
+  ['Custom', 1200, 2000, 1024 ** 4, 10 * 1024 ** 4]
+];
+
+module.exports = {
+  async up(db) {
+    const seed = !(await db.columnExists('plans', 'requests_per_minute'));
+    await db.addColumn('plans', 'requests_per_minute', 'INT NULL');
+    await db.addColumn('plans', 'uploads_per_day', 'INT NULL');
+    await db.addColumn('plans', 'upload_bytes_per_day', 'BIGINT NULL');
+    await db.addColumn('plans', 'download_bytes_per_month', 'BIGINT NULL');
+    if (seed) {
+      for (const [name, requestsPerMinute, uploadsPerDay, uploadBytesPerDay, downloadBytesPerMonth] of PLAN_LIMITS) {
+        await db.query(
+          'UPDATE plans SET requests_per_minute = ?, uploads_per_day = ?, upload_bytes_per_day = ?, download_bytes_per_month = ? WHERE name = ?',
+          [requestsPerMinute, uploadsPerDay, uploadBytesPerDay, downloadBytesPerMonth, name]
+        );
+      }
+    }
+
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS usage_counters (
+        subject VARCHAR(255) NOT NULL,
+        metric VARCHAR(32) NOT NULL,
+        window_start DATETIME NOT NULL,
+        amount BIGINT NOT NULL DEFAULT 0,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        PRIMARY KEY (subject, metric, window_start),
+        INDEX idx_usage_counters_window (metric, window_start)
+      )
+    `);
+  },
+
+  async down(db) {
+    await db.query('DROP TABLE IF EXISTS usage_counters');
+    await db.dropColumn('plans', 'download_bytes_per_month');
+    await db.dropColumn('plans', 'upload_bytes_per_day');
+    await db.dropColumn('plans', 'uploads_per_day');
+    await db.dropColumn('plans', 'requests_per_minute');
+  }
+};
@@ -0,0 +1,33 @@
+// Admin tools: a per-user storage limit that takes precedence over the plan's, account suspension, and the
+// audit log every admin action is written to.
+
+module.exports = {
+  async up(db) {
+    await db.addColumn('users', 'storage_limit_override', 'BIGINT NULL');
+    await db.addColumn('users', 'suspended_at', 'TIMESTAMP NULL');
+    await db.addColumn('users', 'suspended_reason', 'VARCHAR(1024) NULL');
+
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS admin_audit_log (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        admin_id VARCHAR(255) NOT NULL,
+        action VARCHAR(64) NOT NULL,
+        target_email VARCHAR(255) NULL,
+        reason VARCHAR(1024) NULL,
+        details TEXT NULL,
+        ip VARCHAR(64) NULL,
+        request_id VARCHAR(128) NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_admin_audit_log_target (target_email),
+        INDEX idx_admin_audit_log_admin (admin_id)
+      )
+    `);
+  },
+
+  async down(db) {
+    await db.query('DROP TABLE IF EXISTS admin_audit_log');
+    await db.dropColumn('users', 'suspended_reason');
+    await db.dropColumn('users', 'suspended_at');
+    await db.dropColumn('users', 'storage_limit_override');
+  }
+};
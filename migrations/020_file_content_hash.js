@@ -0,0 +1,20 @@
+// SHA-256 of each file's content, computed while it is uploaded, so an identical re-upload by the same user
+// returns the existing file. Files uploaded before this have no hash and are never matched.
+// live_content_hash is the hash while the file is not in the trash (NULL otherwise). Its unique index keeps
+// concurrent uploads of the same content from both being recorded.
+
+module.exports = {
+  async up(db) {
+    await db.addColumn('file_tokens', 'content_hash', 'CHAR(64) NULL');
+    await db.addColumn('file_tokens', 'live_content_hash', 'CHAR(64) GENERATED ALWAYS AS (IF(deleted_at IS NULL, content_hash, NULL)) STORED');
+    if (!(await db.indexExists('file_tokens', 'idx_file_tokens_user_hash'))) {
+      await db.query('CREATE UNIQUE INDEX idx_file_tokens_user_hash ON file_tokens (user_email, live_content_hash)');
+    }
+  },
+
+  async down(db) {
+    await db.dropIndex('file_tokens', 'idx_file_tokens_user_hash');
+    await db.dropColumn('file_tokens', 'live_content_hash');
+    await db.dropColumn('file_tokens', 'content_hash');
+  }
+};
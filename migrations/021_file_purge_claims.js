@@ -0,0 +1,16 @@
+// A trashed file is claimed before its stored copy is deleted, so it can't be restored half way through a purge.
+// purge_claim identifies the purge run; claims older than the purge lease are taken over (the run died).
+
+module.exports = {
+  async up(db) {
+    await db.addColumn('file_tokens', 'purge_claim', 'VARCHAR(36) NULL');
+    await db.addColumn('file_tokens', 'purge_claimed_at', 'TIMESTAMP NULL');
+    await db.addIndex('file_tokens', 'idx_file_tokens_purge_claim', '(purge_claim)');
+  },
+
+  async down(db) {
+    await db.dropIndex('file_tokens', 'idx_file_tokens_purge_claim');
+    await db.dropColumn('file_tokens', 'purge_claimed_at');
+    await db.dropColumn('file_tokens', 'purge_claim');
+  }
+};
@@ -0,0 +1,15 @@
+// A request writing to or finalizing a resumable upload session holds a lock in its row, so two requests can't
+// work on the same session even when they reach different server instances. lock_id identifies the request;
+// locks are leases that are renewed while the request runs and taken over once locked_until has passed.
+
+module.exports = {
+  async up(db) {
+    await db.addColumn('upload_sessions', 'lock_id', 'VARCHAR(36) NULL');
+    await db.addColumn('upload_sessions', 'locked_until', 'DATETIME NULL');
+  },
+
+  async down(db) {
+    await db.dropColumn('upload_sessions', 'locked_until');
+    await db.dropColumn('upload_sessions', 'lock_id');
+  }
+};
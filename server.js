@@ -8,34 +8,167 @@ const mysql = require('mysql2/promise');
 const { v4: uuidv4 } = require('uuid');
 const axios = require('axios');
 const FormData = require('form-data');
-const rateLimit = require('express-rate-limit');
 const winston = require('winston');
+const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const dns = require('dns');
+const net = require('net');
+const { pipeline, Transform } = require('stream');
+const { pipeline: pipelineAsync } = require('stream/promises');
+const { AsyncLocalStorage, AsyncResource } = require('async_hooks');
+const { runMigrations, migrationStatus } = require('./migrate');
+const promClient = require('prom-client');
+const { createTarGz } = require('./archive');
 
 const app = express();
 const PORT = process.env.PORT || 28045; // Port for the backend server, configurable via environment variable
 const API_KEY = process.env.API_KEY; // API Key for general authentication (if used later), configurable via environment variable
-const steApiKey = process.env.STE_KEY; // API Key for STE (payment status updates), configurable via environment variable
+const steApiKey = process.env.STE_KEY; // Shared secret for STE payment webhooks, unless STE_WEBHOOK_SECRET is set
 
 app.set('trust proxy', 1); // Enable trust proxy for rate limiting and security
+app.use(assignRequestId); // Tag the request and everything logged while handling it with a request ID
+app.use(trackRequestMetrics); // Count and time every request, including ones rejected below (see Health and Metrics)
+app.use(logAccess); // One access log entry per request
+
+// --- Logging ---
+// Log entries are JSON lines carrying the ID of the request (or scheduled job run) they were written for.
+// Emails are masked and API keys, bearer tokens, JWTs and secret fields are removed before anything is written.
+// Files rotate once they reach LOG_MAX_SIZE_MB, keeping LOG_MAX_FILES of each:
+//   server.log    application logs
+//   access.log    one entry per HTTP request (logAccess)
+//   security.log  rejected origins, credentials and signatures, denied access and rate limiting
+// The console gets the application and security entries.
 
 const logsDir = path.join(__dirname, 'logs');
 fs.mkdirSync(logsDir, { recursive: true }); // Ensure logs directory exists
 
+const LOG_LEVEL = process.env.LOG_LEVEL || 'info';
+const LOG_MAX_SIZE_BYTES = (parseInt(process.env.LOG_MAX_SIZE_MB, 10) || 20) * 1024 * 1024;
+const LOG_MAX_FILES = parseInt(process.env.LOG_MAX_FILES, 10) || 10;
+const REQUEST_ID_HEADER = 'X-Request-Id';
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/; // A caller's ID is only reused if it's safe to log and echo
+const SENSITIVE_FIELD_PATTERN = /pass(word)?|secret|api_?key|authorization|cookie|signature/i;
+const SENSITIVE_QUERY_PATTERN = /signature|share|key|secret|email/i;
+
+const requestContext = new AsyncLocalStorage(); // { requestId } of the request or job run being handled
+
+function currentRequestId() {
+  const context = requestContext.getStore();
+  return context ? context.requestId : undefined;
+}
+
+// Mask emails (j***@example.com) and drop credentials from free text
+function redactText(text) {
+  return text
+    .replace(/\bBearer\s+[^\s,;"]+/gi, 'Bearer [REDACTED]')
+    .replace(/\beyJ[\w-]+\.[\w-]+\.[\w-]+/g, '[REDACTED_JWT]')
+    .replace(/\b(vk|whsec)_[A-Za-z0-9_-]+/g, '$1_[REDACTED]')
+    .replace(/([A-Za-z0-9._+-])[A-Za-z0-9._+-]*(@|%40)([A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)+)/g, '$1***$2$3');
+}
+
+function redactValue(value, depth = 0) {
+  if (typeof value === 'string') {
+    return redactText(value);
+  }
+  if (!value || typeof value !== 'object' || value instanceof Date || depth > 5) {
+    return value;
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => redactValue(item, depth + 1));
+  }
+  return Object.fromEntries(Object.entries(value).map(([key, item]) =>
+    [key, SENSITIVE_FIELD_PATTERN.test(key) ? '[REDACTED]' : redactValue(item, depth + 1)]));
+}
+
+// A URL for the logs, with the values of sensitive query parameters (signatures, share tokens) removed
+function redactUrl(url) {
+  const [pathname, query] = url.split('?');
+  if (!query) {
+    return redactText(pathname);
+  }
+  const params = [...new URLSearchParams(query)].map(([name, value]) =>
+    `${name}=${SENSITIVE_QUERY_PATTERN.test(name) ? '[REDACTED]' : value}`);
+  return redactText(`${pathname}?${params.join('&')}`);
+}
+
+const addRequestId = winston.format((info) => {
+  info.requestId = info.requestId || currentRequestId();
+  return info;
+});
+
+const redactEntry = winston.format((info) => {
+  for (const key of Object.keys(info)) {
+    if (key !== 'level' && key !== 'timestamp') {
+      info[key] = SENSITIVE_FIELD_PATTERN.test(key) ? '[REDACTED]' : redactValue(info[key]);
+    }
+  }
+  return info;
+});
+
+// Transport format that only passes entries whose `channel` satisfies `accepts`
+const channelFilter = accepts => winston.format(info => (accepts(info.channel) ? info : false))();
+
+const logFile = (filename, accepts) => new winston.transports.File({
+  filename: path.join(logsDir, filename),
+  format: channelFilter(accepts),
+  maxsize: LOG_MAX_SIZE_BYTES,
+  maxFiles: LOG_MAX_FILES,
+  tailable: true // The current file keeps its name, older ones are numbered
+});
+
 const logger = winston.createLogger({
-  level: 'info',
+  level: LOG_LEVEL,
   format: winston.format.combine(
+    winston.format.errors({ stack: true }),
     winston.format.timestamp(),
-    winston.format.printf(
-      (info) => `${info.timestamp} [${info.level}]: ${info.message}`
-    )
+    addRequestId(),
+    redactEntry(),
+    winston.format.json()
   ),
   transports: [
-    new winston.transports.File({ filename: path.join(logsDir, 'server.log') }), // General server logs
-    new winston.transports.File({ filename: path.join(logsDir, 'api.log'), level: 'info' }), // API request logs
-    new winston.transports.File({ filename: path.join(logsDir, 'ddos.log'), level: 'warn' }), // Rate limiting/DDoS attempt logs
-    new winston.transports.Console() // Output logs to console as well
+    logFile('server.log', channel => !channel),
+    logFile('access.log', channel => channel === 'access'),
+    logFile('security.log', channel => channel === 'security'),
+    new winston.transports.Console({ format: channelFilter(channel => channel !== 'access') })
   ]
 });
+const accessLogger = logger.child({ channel: 'access' });
+const securityLogger = logger.child({ channel: 'security' });
+
+// Use the caller's X-Request-Id or generate one, echo it back and run the rest of the request in its context
+function assignRequestId(req, res, next) {
+  const incoming = req.get(REQUEST_ID_HEADER);
+  req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : uuidv4();
+  res.set(REQUEST_ID_HEADER, req.id);
+  requestContext.run({ requestId: req.id }, next);
+}
+
+// Body parsers call `next` from stream events, outside the request's context; bind it back
+function bindRequestContext(middleware) {
+  return (req, res, next) => middleware(req, res, AsyncResource.bind(next));
+}
+
+// Write the access log entry once the response is sent or the connection drops
+function logAccess(req, res, next) {
+  const started = Date.now();
+  res.on('close', () => {
+    accessLogger.info(`${req.method} ${redactUrl(req.originalUrl)} ${res.statusCode}`, {
+      requestId: req.id,
+      method: req.method,
+      url: redactUrl(req.originalUrl),
+      status: res.statusCode,
+      aborted: !res.writableFinished || undefined,
+      durationMs: Date.now() - started,
+      bytesSent: Number(res.get('Content-Length')) || undefined,
+      ip: req.ip,
+      userAgent: req.get('user-agent'),
+      user: req.user ? req.user.email : undefined
+    });
+  });
+  next();
+}
 
 const allowedOrigins = process.env.CORS_ALLOWED.split(','); // Allowed origins for CORS, configurable via environment variable
 const authenticateRequest = (req, res, next) => { // Middleware to authenticate requests based on origin (CORS-like, but server-side check)
@@ -44,7 +177,7 @@ const authenticateRequest = (req, res, next) => { // Middleware to authenticate
   if (!origin || allowedOrigins.includes(origin)) {
     next(); // Allow request if origin is in allowed list or no origin (same-origin)
   } else {
-    logger.warn(`Blocked request from unauthorized origin: ${origin}`);
+    securityLogger.warn(`Blocked request from unauthorized origin: ${origin}`, { ip: req.ip });
     res.status(401).json({ error: 'Unauthorized request' });
   }
 };
@@ -54,19 +187,29 @@ app.use(cors({ // Enable CORS for browser requests, using dynamic origin check
     if (!origin || allowedOrigins.includes(origin)) {
       callback(null, true); // Allow if origin is in allowed list or no origin (same-origin)
     } else {
-      logger.warn(`Blocked CORS request from origin: ${origin}`);
+      securityLogger.warn(`Blocked CORS request from origin: ${origin}`);
       callback(new Error('Not allowed by CORS'));
     }
   },
-  credentials: true // Allow sending cookies in CORS requests (if needed)
+  credentials: true, // Allow sending cookies in CORS requests (if needed)
+  exposedHeaders: [ // Let browser clients read resumable upload and rate limit headers
+    'Location', 'Tus-Resumable', 'Upload-Offset', 'Upload-Length', 'Upload-Expires',
+    'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'RateLimit-Policy', 'Retry-After', REQUEST_ID_HEADER
+  ]
 }));
 
-app.use(express.json()); // Parse JSON request bodies
-app.use(express.urlencoded({ extended: true })); // Parse URL-encoded request bodies
+app.use(bindRequestContext(express.json({ // Parse JSON request bodies
+  verify: (req, res, buf) => {
+    req.rawBody = buf; // Kept for webhook signature checks
+  }
+})));
+app.use(bindRequestContext(express.urlencoded({ extended: true }))); // Parse URL-encoded request bodies
 
 app.use(express.static(path.join(__dirname, 'public'))); // Serve static files from 'public' directory
 const uploadDir = path.join(__dirname, 'uploads'); // Directory for uploads
 const videosDir = path.join(uploadDir, 'videos'); // Subdirectory for videos
+const uploadSessionsDir = path.join(uploadDir, 'sessions'); // Partial data of resumable upload sessions
+const exportsDir = path.join(uploadDir, 'exports'); // Account data export archives, until they expire
 
 if (!fs.existsSync(uploadDir)) {
   fs.mkdirSync(uploadDir); // Create upload directory if it doesn't exist
@@ -74,879 +217,6060 @@ if (!fs.existsSync(uploadDir)) {
 if (!fs.existsSync(videosDir)) {
   fs.mkdirSync(videosDir); // Create videos directory if it doesn't exist
 }
+if (!fs.existsSync(uploadSessionsDir)) {
+  fs.mkdirSync(uploadSessionsDir); // Create resumable upload sessions directory if it doesn't exist
+}
+if (!fs.existsSync(exportsDir)) {
+  fs.mkdirSync(exportsDir); // Create account export directory if it doesn't exist
+}
 
 const dbConfig = { // Database connection configuration, all from environment variables
   host: process.env.DB_HOST,
   port: process.env.DB_PORT,
   database: process.env.DB_DATABASE,
   user: process.env.DB_USER,
-  password: process.env.DB_PASSWORD
+  password: process.env.DB_PASSWORD,
+  connectionLimit: parseInt(process.env.DB_CONNECTION_LIMIT, 10) || 10 // mysql2's default
 };
 
 let pool; // Database connection pool
+let startupComplete = false; // Set once migrations ran and background jobs started; /readyz reports not ready until then
 
 async function initializeDatabase() {
   try {
-    pool = await mysql.createPool(dbConfig); // Initialize connection pool
+    pool = instrumentPool(await mysql.createPool(dbConfig)); // Initialize connection pool
     logger.info('Database connection established');
-    await createTableIfNotExists(); // Create tables if they don't exist
+    if (process.env.MIGRATE_ON_START !== 'false') {
+      await runMigrations(pool, { log: message => logger.info(message) }); // Bring the schema up to date (see migrate.js)
+    } else {
+      const pending = (await migrationStatus(pool)).filter(migration => !migration.applied);
+      if (pending.length > 0) {
+        logger.warn(`${pending.length} schema migration(s) pending, run "npm run migrate"`);
+      }
+    }
+    await importLegacyMetadata(); // Move any remaining JSON metadata files into file_meta
+    startScheduledJobs(); // Start background maintenance once the tables exist
+    startupComplete = true;
   } catch (error) {
     logger.error('Failed to initialize database:', error);
     process.exit(1); // Exit if database initialization fails
   }
 }
 
-async function createTableIfNotExists() {
-  // First create the file_tokens table
-  const createFileTokensTable = `
-    CREATE TABLE IF NOT EXISTS file_tokens (
-      id INT AUTO_INCREMENT PRIMARY KEY,
-      token VARCHAR(255) UNIQUE NOT NULL,
-      file_path VARCHAR(255) NOT NULL,
-      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-      user_email VARCHAR(255),
-      file_size BIGINT
-    )
-  `;
-  await pool.query(createFileTokensTable);
-
-  // Then create the users table
-  const createUsersTable = `
-    CREATE TABLE IF NOT EXISTS users (
-      id INT AUTO_INCREMENT PRIMARY KEY,
-      email VARCHAR(255) UNIQUE NOT NULL,
-      plan ENUM('Free', 'Premium', 'Custom') DEFAULT 'Free',
-      storage_limit BIGINT DEFAULT 5368709120,
-      storage_used BIGINT DEFAULT 0
-    )
-  `;
-  await pool.query(createUsersTable);
-
-    // Add this new table creation query for file metadata
-  const createFileMetaTable = `
-    CREATE TABLE IF NOT EXISTS file_meta (
-      id INT AUTO_INCREMENT PRIMARY KEY,
-      token VARCHAR(255) UNIQUE NOT NULL,
-      size BIGINT NOT NULL,
-      privacy ENUM('public', 'private') NOT NULL DEFAULT 'public',
-      views INT DEFAULT 0,
-      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-    )
-  `;
-  await pool.query(createFileMetaTable);
+// Run a background task every `intervalMs`; failures are logged and retried on the next tick
+function scheduleJob(name, intervalMs, task, { runOnStart = true } = {}) {
+  const run = () => requestContext.run({ requestId: uuidv4() }, async () => { // Each run gets its own ID in the logs
+    try {
+      await task();
+    } catch (error) {
+      logger.error(`Scheduled job "${name}" failed: ${error.message}`);
+    }
+  });
+  setInterval(run, intervalMs).unref(); // Don't keep the process alive just for maintenance
+  if (runOnStart) {
+    run();
+  }
+}
+
+function startScheduledJobs() {
+  scheduleJob('upload-session-cleanup', UPLOAD_SESSION_CLEANUP_INTERVAL_MS, cleanupExpiredUploadSessions);
+  if (RECONCILE_INTERVAL_MS > 0) {
+    scheduleJob('storage-reconciliation', RECONCILE_INTERVAL_MS, async () => {
+      const report = await reconcileStorageUsage({ fix: RECONCILE_AUTO_FIX, triggeredBy: 'scheduled' });
+      logger.info(`Storage reconciliation ${report.runId}: ${report.usersWithDrift} of ${report.checkedUsers} user(s) drifted by ${report.totalDelta} bytes${report.fixed ? ', corrected' : ''}, inventory ${report.inventory.status}`);
+    }, { runOnStart: false });
+  }
+  scheduleJob('subscription-lifecycle', SUBSCRIPTION_CHECK_INTERVAL_MS, runSubscriptionLifecycle);
+  scheduleJob('job-runner', JOB_POLL_INTERVAL_MS, runQueuedJobs);
+  scheduleJob('webhook-delivery', WEBHOOK_POLL_INTERVAL_MS, deliverPendingWebhooks);
+  scheduleJob('trash-purge', TRASH_PURGE_INTERVAL_MS, purgeExpiredTrash);
+  scheduleJob('usage-counter-cleanup', USAGE_CLEANUP_INTERVAL_MS, cleanupUsageCounters);
+  scheduleJob('export-cleanup', EXPORT_CLEANUP_INTERVAL_MS, cleanupExpiredExports);
 }
 
 initializeDatabase(); // Initialize database connection on server start
 
-const storage = multer.diskStorage({ // Configure disk storage for uploaded files
-  destination: (req, file, cb) => {
-    const userEmail = req.body.userEmail || req.query.userEmail || 'default'; // Get user email from request body or query
-    const dir = path.join(videosDir, userEmail);
-    fs.mkdirSync(dir, { recursive: true }); // Create user-specific directory if it doesn't exist
-    cb(null, dir);
-  },
-  filename: (req, file, cb) => {
-    cb(null, file.originalname); // Use original filename for uploaded file
-  }
-});
+// --- Content Sniffing ---
+// Uploads are identified by their first bytes, not by their name. A file must be one of the containers below
+// and carry an extension that fits it; the detected container is stored in file_meta.container.
+
+const SNIFF_LENGTH = 256; // Bytes inspected, enough for every signature below (including the WebM DocType)
+const ASF_HEADER_GUID = Buffer.from('3026b2758e66cf11a6d900aa0062ce6c', 'hex');
+const CONTAINER_EXTENSIONS = { // Extensions a file with each detected container may have
+  mp4: ['.mp4', '.m4v', '.mov', '.3gp'],
+  mov: ['.mov', '.mp4', '.m4v'],
+  matroska: ['.mkv', '.webm'],
+  webm: ['.webm', '.mkv'],
+  avi: ['.avi'],
+  flv: ['.flv'],
+  asf: ['.wmv'],
+  ogg: ['.ogg'],
+  wav: ['.wav'],
+  mp3: ['.mp3']
+};
 
-const upload = multer({ storage: storage, limits: { fileSize: 1024 * 1024 * 1024 * 5 } }); // Multer upload middleware, limit file size to 5GB
+// MPEG audio frame header: 11 sync bits, then a valid layer, bitrate and sample rate
+function isMpegAudioFrame(buffer) {
+  return buffer.length >= 3 &&
+    buffer[0] === 0xff &&
+    (buffer[1] & 0xe0) === 0xe0 &&
+    ((buffer[1] >> 1) & 0x03) !== 0 &&
+    (buffer[2] >> 4) !== 0x0f &&
+    ((buffer[2] >> 2) & 0x03) !== 0x03;
+}
 
-const allowedExtensions = ['.mp4', '.wav', '.mp3', '.mov', '.avi', '.mkv', '.flv', '.wmv', '.webm', '.m4v', '.3gp', '.ogg']; // Allowed file extensions for upload
+// Identify the container from the first bytes of a file; returns null when it isn't a supported format
+function sniffContainer(buffer) {
+  const ascii = (start, end) => buffer.toString('latin1', start, end);
 
-async function getFilePathForToken(token) { // Function to retrieve file path from token in database
-  const query = 'SELECT file_path FROM file_tokens WHERE token = ?';
-  const [rows] = await pool.execute(query, [token]);
-  if (rows.length === 0) {
-    return null; // Token not found
+  if (buffer.length >= 12 && ascii(4, 8) === 'ftyp') {
+    return ascii(8, 12) === 'qt  ' ? 'mov' : 'mp4'; // ISO base media file, the brand tells QuickTime apart
+  }
+  if (buffer.length >= 8 && ['moov', 'mdat', 'wide', 'free', 'skip', 'pnot'].includes(ascii(4, 8))) {
+    return 'mov'; // Older QuickTime files start with a movie atom instead of ftyp
+  }
+  if (buffer.length >= 4 && buffer.readUInt32BE(0) === 0x1a45dfa3) {
+    return buffer.subarray(0, 64).includes('webm', 0, 'latin1') ? 'webm' : 'matroska'; // EBML header with its DocType
+  }
+  if (buffer.length >= 12 && ascii(0, 4) === 'RIFF') {
+    const format = ascii(8, 12);
+    return format === 'AVI ' ? 'avi' : format === 'WAVE' ? 'wav' : null;
+  }
+  if (ascii(0, 3) === 'FLV') {
+    return 'flv';
+  }
+  if (buffer.length >= 16 && buffer.subarray(0, 16).equals(ASF_HEADER_GUID)) {
+    return 'asf';
+  }
+  if (ascii(0, 4) === 'OggS') {
+    return 'ogg';
+  }
+  if (ascii(0, 3) === 'ID3' || isMpegAudioFrame(buffer)) {
+    return 'mp3';
   }
-  return rows[0].file_path; // Return file path
+  return null;
 }
 
-const limiter = rateLimit({ // Rate limiter to protect against abuse
-  windowMs: 15 * 60 * 1000, // 15 minutes window
-  max: 100, // Max 100 requests per window per IP
-  handler: (req, res, next) => {
-    logger.warn(`Rate limit exceeded for ${req.ip}`);
-    res.status(429).json({ error: 'Too Many Requests' });
+// Check the first bytes of a file against its name; returns the container or throws an error with status 415
+function verifyFileContent(head, fileName) {
+  const container = sniffContainer(head);
+  const extension = path.extname(fileName).toLowerCase();
+  let error = null;
+  if (!container) {
+    error = new Error('File content is not a supported audio or video format');
+  } else if (!CONTAINER_EXTENSIONS[container].includes(extension)) {
+    error = new Error(`File content is ${container}, which doesn't match the ${extension || 'missing'} extension`);
+    error.details = { detectedContainer: container, expectedExtensions: CONTAINER_EXTENSIONS[container] };
   }
-});
-
-// Endpoint to create a directory (Example, might not be directly used by frontend in final open source version)
-app.post('/createdir', authenticateRequest, (req, res) => {
-  const dirName = req.body.dir_name;
-  if (!dirName) {
-    return res.status(400).json({ error: 'Directory name is required' });
+  if (error) {
+    error.status = 415;
+    throw error;
   }
-  const dirPath = path.join(videosDir, dirName);
-  fs.mkdir(dirPath, { recursive: true }, (err) => {
-    if (err) {
-      logger.error(`Failed to create directory: ${err}`);
-      return res.status(500).json({ error: 'Failed to create directory' });
-    }
-    logger.info(`Directory "${dirName}" created successfully`);
-    res.status(201).json({ message: `Directory "${dirName}" created successfully` });
-  });
-});
-
-// Serve the main index.html for frontend (static file serving)
-app.get('/', (req, res) => {
-  res.sendFile(path.join(__dirname, 'public', 'index.html'));
-});
-
-const STORAGE_LIMITS = { // Storage limits for different user plans (configurable here)
-  Free: 500 * 1024 * 1024, // 500MB
-  Premium: 750 * 1024 * 1024 * 1024, // 750GB
-  Custom: 1.5 * 1024 * 1024 * 1024 * 1024, // 1.5TB
-  Pro: 750 * 1024 * 1024 * 1024, // 750GB (Mapped to Premium)
-  Expert: 1.5 * 1024 * 1024 * 1024 * 1024 // 1.5TB (Mapped to Custom)
-};
-
-// Plan mapping for plan names consistency
-const PLAN_MAPPING = {
-  Pro: 'Premium',
-  Expert: 'Custom'
-};
-
-// Function to set user storage limit in database based on plan
-async function setUserStorageLimit(userEmail, userPlan) {
-  let storageLimit;
-
-  const mappedPlan = PLAN_MAPPING[userPlan] || userPlan; // Map plan names if needed
-
-  storageLimit = STORAGE_LIMITS[mappedPlan] || STORAGE_LIMITS.Free; // Get storage limit from configuration
-
-  const query = 'UPDATE users SET storage_limit = ? WHERE email = ?';
-  await pool.execute(query, [storageLimit, userEmail]);
+  return container;
 }
 
-// Function to check and update user plan based on payment status (connects to payments table, assumes payments table exists)
-async function checkAndUpdateUserPlan(userEmail) {
+async function readFileHead(filePath) {
+  const handle = await fs.promises.open(filePath, 'r');
   try {
-    console.log('Checking plan for user:', userEmail);
-
-    // First check the payment status
-    const [payments] = await pool.execute(
-      `SELECT * FROM payments
-       WHERE email = ? AND payment_status = 'finished'
-       ORDER BY created_at DESC
-       LIMIT 1`,
-      [userEmail]
-    );
+    const { buffer, bytesRead } = await handle.read(Buffer.alloc(SNIFF_LENGTH), 0, SNIFF_LENGTH, 0);
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+}
 
-    console.log('Found payment:', payments[0]);
+// Pass-through stream that holds back the first SNIFF_LENGTH bytes until they are verified, so a mismatching
+// upload fails before the rest is accepted. With `allowShort`, a stream ending before SNIFF_LENGTH bytes is
+// let through unverified (a resumable upload's first request can be that small), to be checked later.
+class ContentSniffer extends Transform {
+  constructor(fileName, { allowShort = false } = {}) {
+    super();
+    this.fileName = fileName;
+    this.allowShort = allowShort;
+    this.head = [];
+    this.headLength = 0;
+    this.container = null;
+  }
 
-    if (payments.length === 0) {
-      console.log('No finished payments found');
-      return null;
+  _transform(chunk, encoding, callback) {
+    if (!this.head) {
+      return callback(null, chunk);
     }
-
-    const payment = payments[0];
-
-    // Map the plan and set storage limit
-    let newPlan;
-    let newStorageLimit;
-
-    // Convert plan to lowercase for case-insensitive comparison
-    const planLower = payment.plan.toLowerCase();
-
-    if (planLower === 'pro') {
-      newPlan = 'Premium';
-      newStorageLimit = 750 * 1024 * 1024 * 1024; // 750GB
+    this.head.push(chunk);
+    this.headLength += chunk.length;
+    if (this.headLength < SNIFF_LENGTH) {
+      return callback();
     }
-    else if (planLower === 'expert') {
-      newPlan = 'Custom';
-      newStorageLimit = 1.5 * 1024 * 1024 * 1024 * 1024; // 1.5TB
+    this.releaseHead(callback);
+  }
+
+  _flush(callback) {
+    if (!this.head) {
+      return callback();
     }
-    else {
-      // Default to Free plan if unknown plan type
-      newPlan = 'Free';
-      newStorageLimit = 500 * 1024 * 1024; // 500MB
+    if (this.allowShort && this.headLength < SNIFF_LENGTH) {
+      return callback(null, Buffer.concat(this.head));
     }
+    this.releaseHead(callback);
+  }
 
-    // Only update if we have valid values
-    if (newPlan && newStorageLimit) {
-      await pool.execute(
-        'UPDATE users SET plan = ?, storage_limit = ? WHERE email = ?',
-        [newPlan, newStorageLimit, userEmail]
-      );
-
-      // Verify the update
-      const [updatedUser] = await pool.execute(
-        'SELECT plan, storage_limit FROM users WHERE email = ?',
-        [userEmail]
-      );
-
-      return {
-        plan: newPlan,
-        storageLimit: newStorageLimit
-      };
+  releaseHead(callback) {
+    const head = Buffer.concat(this.head);
+    this.head = null;
+    try {
+      this.container = verifyFileContent(head, this.fileName);
+    } catch (error) {
+      return callback(error);
     }
-
-    return null;
-
-  } catch (error) {
-    console.error('Error in checkAndUpdateUserPlan:', error);
-    throw error;
+    callback(null, head);
   }
 }
 
-// API endpoint to check user status (plan and storage limit)
-app.post('/check-user-status', authenticateRequest, async (req, res) => {
-  const { userEmail } = req.body;
+// Pass-through stream computing the SHA-256 of everything that flows through it; `digest` is set once it ends
+class ContentHasher extends Transform {
+  constructor() {
+    super();
+    this.hash = crypto.createHash('sha256');
+    this.digest = null;
+  }
 
-  if (!userEmail) {
-    return res.status(400).json({ error: 'User email is required' });
+  _transform(chunk, encoding, callback) {
+    this.hash.update(chunk);
+    callback(null, chunk);
   }
 
-  try {
-    const userStatus = await checkAndUpdateUserPlan(userEmail);
+  _flush(callback) {
+    this.digest = this.hash.digest('hex');
+    callback();
+  }
+}
 
-    if (!userStatus) {
-      const [userRows] = await pool.execute(
-        'SELECT plan, storage_limit FROM users WHERE email = ?',
-        [userEmail]
-      );
+// SHA-256 of a file on disk, for uploads that weren't hashed while they came in (resumable sessions)
+async function hashFile(filePath) {
+  const hash = crypto.createHash('sha256');
+  for await (const chunk of fs.createReadStream(filePath)) {
+    hash.update(chunk);
+  }
+  return hash.digest('hex');
+}
 
-      if (userRows.length === 0) {
-        return res.status(404).json({ error: 'User not found' });
+// Multer storage engine: writes the upload to uploads/videos/<email>/ like multer.diskStorage, but through a
+// ContentSniffer so files with unexpected content are refused after their first bytes, and a ContentHasher.
+// Staged under a unique name so concurrent uploads of the same name can't overwrite each other.
+class SniffingDiskStorage {
+  _handleFile(req, file, cb) {
+    const fileName = path.basename(file.originalname);
+    const dir = path.join(videosDir, req.user.email); // Set by requireUser, which runs before multer
+    fs.mkdirSync(dir, { recursive: true });
+    const filePath = path.join(dir, `.${uuidv4()}${path.extname(fileName)}.upload`);
+
+    const sniffer = new ContentSniffer(fileName);
+    const hasher = new ContentHasher();
+    const out = fs.createWriteStream(filePath);
+    let failed = false;
+    const fail = (error) => {
+      if (failed) {
+        return;
       }
+      failed = true;
+      file.stream.unpipe(sniffer);
+      file.stream.resume(); // Discard the rest of the file, multer ends the request with the error
+      out.destroy();
+      fs.unlink(filePath, () => cb(error));
+    };
+
+    file.stream.on('error', fail);
+    sniffer.on('error', fail);
+    out.on('error', fail);
+    out.on('finish', () => {
+      if (!failed) {
+        cb(null, { destination: dir, filename: fileName, path: filePath, size: out.bytesWritten, container: sniffer.container, contentHash: hasher.digest });
+      }
+    });
+    file.stream.pipe(sniffer).pipe(hasher).pipe(out);
+  }
 
-      return res.json({
-        plan: userRows[0].plan,
-        storageLimit: userRows[0].storage_limit
-      });
+  _removeFile(req, file, cb) {
+    fs.unlink(file.path, cb);
+  }
+}
+
+// Multer storage engine for STREAM_UPLOADS: pipes the file straight to the storage driver instead of staging it
+// on local disk. Bytes are counted as they arrive; going over req.uploadSizeLimit, a content mismatch or the
+// client going away aborts both the incoming upload and the transfer to storage.
+class StreamingStorage {
+  _handleFile(req, file, cb) {
+    const fileName = path.basename(file.originalname);
+    const rejection = checkUploadAgainstPlan(req.uploadAccount, { fileName, size: 0 }); // Format, before any bytes move
+    if (rejection) {
+      file.stream.resume();
+      return cb(Object.assign(new Error(rejection.body.error), { status: rejection.status, details: rejection.body }));
     }
 
-    res.json(userStatus);
-  } catch (error) {
-    console.error('Error checking user status:', error);
-    res.status(500).json({ error: 'Failed to check user status' });
-  }
-});
+    const limit = req.uploadSizeLimit;
+    const controller = new AbortController();
+    let size = 0;
+    let failure = null;
+    const counter = new Transform({
+      transform(chunk, encoding, callback) {
+        size += chunk.length;
+        if (size > limit) {
+          return callback(Object.assign(new Error("File exceeds the plan's maximum file size or the remaining storage"), { status: 413, details: { maxSize: limit } }));
+        }
+        callback(null, chunk);
+      }
+    });
+    const sniffer = new ContentSniffer(fileName);
+    const hasher = new ContentHasher();
+    const fail = (error) => {
+      if (failure) {
+        return;
+      }
+      failure = error;
+      controller.abort(); // Abandon the transfer to storage
+      file.stream.unpipe(counter);
+      file.stream.resume(); // Discard the rest of the file, multer ends the request with the error
+    };
+
+    file.stream.on('error', fail);
+    counter.on('error', fail);
+    sniffer.on('error', fail);
+    req.on('close', () => {
+      if (!req.complete) {
+        fail(new Error('Client disconnected during upload'));
+      }
+    });
 
-// API endpoint to get user plan by email
-app.get('/api/user-plan/:email', authenticateRequest, async (req, res) => {
-  const userEmail = req.params.email;
+    file.stream.pipe(counter).pipe(sniffer).pipe(hasher);
+    let storedName;
+    availableFileName(req.user.email, fileName) // Picked before the transfer, storage keeps files by name
+      .then((name) => {
+        storedName = name;
+        return storage.receiveStream({ stream: hasher, fileName: storedName, userEmail: req.user.email, privacy: req.body.privacy || 'public', signal: controller.signal });
+      })
+      .then(({ token }) => {
+        if (failure) {
+          return removeStoredFile(token, req.user.email).then(() => cb(failure));
+        }
+        cb(null, { filename: storedName, size, token, container: sniffer.container, contentHash: hasher.digest });
+      })
+      .catch(error => cb(failure || error));
+  }
 
-  if (!userEmail) {
-    return res.status(400).json({ error: 'User email is required' });
+  _removeFile(req, file, cb) {
+    if (!file.token) {
+      return cb(null);
+    }
+    removeStoredFile(file.token, req.user.email).then(() => cb(null), cb);
   }
+}
 
-  try {
-    const [userRows] = await pool.execute(
-      'SELECT plan FROM users WHERE email = ?',
-      [userEmail]
-    );
+const uploadStorage = new SniffingDiskStorage();
+const streamingUploadStorage = new StreamingStorage();
+const STREAM_UPLOADS = process.env.STREAM_UPLOADS === 'true'; // Pipe /upload straight to storage instead of staging on disk
 
-    if (userRows.length === 0) {
-      return res.status(404).json({ error: 'User not found' });
-    }
+const MAX_UPLOAD_SIZE = 1024 * 1024 * 1024 * 5; // 5GB, applies to both /upload and resumable sessions
 
-    res.json({
-      plan: userRows[0].plan
-    });
+const TUS_VERSION = '1.0.0'; // tus protocol version implemented by the resumable upload endpoints
+const DEFAULT_CHUNK_SIZE = parseInt(process.env.UPLOAD_CHUNK_SIZE, 10) || 8 * 1024 * 1024; // 8MB chunks for numbered chunk uploads
+const UPLOAD_SESSION_TTL_MS = (parseInt(process.env.UPLOAD_SESSION_TTL_HOURS, 10) || 24) * 60 * 60 * 1000; // Idle sessions expire after 24 hours by default
+const UPLOAD_SESSION_CLEANUP_INTERVAL_MS = 15 * 60 * 1000; // Sweep expired sessions every 15 minutes
 
-  } catch (error) {
-    console.error('Error fetching user plan:', error);
-    res.status(500).json({ error: 'Failed to fetch user plan' });
-  }
-});
+const allowedExtensions = ['.mp4', '.wav', '.mp3', '.mov', '.avi', '.mkv', '.flv', '.wmv', '.webm', '.m4v', '.3gp', '.ogg']; // Default allowed formats for new plans; the plans table decides per tier
 
-// API endpoint to create or update file metadata
-app.post('/create-metadata', authenticateRequest, async (req, res) => {
-  const { fileName, userEmail, fileSize, token, updateExisting } = req.body;
-  const userDir = path.join(videosDir, userEmail);
+// --- Health and Metrics ---
+// GET /healthz answers as long as the process is serving requests (liveness). GET /readyz also checks the
+// database and storage, each with a timeout, and returns 503 until startup finished or while a check fails
+// (readiness). GET /metrics exposes Prometheus metrics, behind `Authorization: Bearer <METRICS_TOKEN>` when
+// that is set. None of them check the origin or count towards rate limits.
 
-  // Ensure user directory exists
-  fs.mkdirSync(userDir, { recursive: true });
+const READINESS_TIMEOUT_MS = parseInt(process.env.READINESS_TIMEOUT_MS, 10) || 2000; // Per dependency check
+const METRICS_TOKEN = process.env.METRICS_TOKEN;
+const STORAGE_OPERATIONS = ['receiveFile', 'receiveStream', 'renameFile', 'deleteFile', 'getThumbnail', 'requestToken', 'listFiles', 'checkHealth'];
 
-  // Find existing metadata files for this token
-  const files = await fs.promises.readdir(userDir);
-  const metadataFiles = files.filter(file =>
-    file.endsWith('.json') &&
-    fs.existsSync(path.join(userDir, file))
-  );
+const metrics = new promClient.Registry();
+const httpRequestsTotal = new promClient.Counter({
+  name: 'http_requests_total', help: 'HTTP requests by route pattern and status', labelNames: ['method', 'route', 'status'], registers: [metrics]
+});
+const httpRequestDuration = new promClient.Histogram({
+  name: 'http_request_duration_seconds', help: 'HTTP request latency by route pattern', labelNames: ['method', 'route'], registers: [metrics],
+  buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60]
+});
+const uploadBytesTotal = new promClient.Counter({
+  name: 'upload_bytes_total', help: 'Bytes of accepted uploads by upload mode', labelNames: ['mode'], registers: [metrics]
+});
+const uploadDuration = new promClient.Histogram({
+  name: 'upload_duration_seconds', help: 'Time from the start of an upload until it was accepted or refused', labelNames: ['mode', 'outcome'], registers: [metrics],
+  buckets: [0.5, 1, 5, 15, 30, 60, 120, 300, 600, 1800, 3600]
+});
+const storageRequestDuration = new promClient.Histogram({
+  name: 'storage_request_duration_seconds', help: 'Latency of storage driver calls', labelNames: ['operation'], registers: [metrics],
+  buckets: [0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120]
+});
+const storageRequestErrors = new promClient.Counter({
+  name: 'storage_request_errors_total', help: 'Storage driver calls that failed', labelNames: ['operation'], registers: [metrics]
+});
+const dbPoolConnections = new promClient.Gauge({
+  name: 'db_pool_connections', help: 'Database pool connections by state', labelNames: ['state'], registers: [metrics]
+});
+const dbPoolQueuedRequests = new promClient.Gauge({
+  name: 'db_pool_queued_requests', help: 'Queries waiting for a free database connection', registers: [metrics]
+});
+new promClient.Gauge({
+  name: 'db_pool_connection_limit', help: 'Maximum connections the database pool opens', registers: [metrics],
+  collect() { this.set(dbConfig.connectionLimit); }
+});
+new promClient.Gauge({
+  name: 'process_resident_memory_bytes', help: 'Resident memory size in bytes', registers: [metrics],
+  collect() { this.set(process.memoryUsage().rss); }
+});
+new promClient.Gauge({
+  name: 'process_uptime_seconds', help: 'Seconds since the process started', registers: [metrics],
+  collect() { this.set(Math.round(process.uptime())); }
+});
+dbPoolConnections.set({ state: 'in_use' }, 0);
+dbPoolQueuedRequests.set(0);
+
+// Record count and latency once the response is sent, labelled by the matched route pattern rather than the URL
+function trackRequestMetrics(req, res, next) {
+  const endTimer = httpRequestDuration.startTimer();
+  req.startedAt = Date.now();
+  res.on('finish', () => {
+    const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+    endTimer({ method: req.method, route });
+    httpRequestsTotal.inc({ method: req.method, route, status: res.statusCode });
+  });
+  next();
+}
+
+// Record an upload result; `mode` is staged, streamed or resumable
+function observeUpload(mode, seconds, result) {
+  const outcome = !result ? 'error' : result.status === 200 ? 'accepted' : 'refused';
+  uploadDuration.observe({ mode, outcome }, seconds);
+  if (outcome === 'accepted') {
+    uploadBytesTotal.inc({ mode }, Number(result.body.size) || 0);
+  }
+}
 
-  let oldMetadata = null;
-  if (updateExisting) {
-    // Find and read existing metadata file
-    for (const file of metadataFiles) {
-      const filePath = path.join(userDir, file);
+// Time every storage driver call and count the ones that throw
+function instrumentStorage(driver) {
+  for (const operation of STORAGE_OPERATIONS) {
+    const call = driver[operation].bind(driver);
+    driver[operation] = async (...args) => {
+      const endTimer = storageRequestDuration.startTimer({ operation });
       try {
-        const data = JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
-        if (data.token === token) {
-          oldMetadata = data;
-          // Delete old metadata file
-          await fs.promises.unlink(filePath);
-          break;
-        }
-      } catch (err) {
-        console.error(`Error reading metadata file ${file}:`, err);
+        return await call(...args);
+      } catch (error) {
+        storageRequestErrors.inc({ operation });
+        throw error;
+      } finally {
+        endTimer();
       }
-    }
+    };
   }
+  return driver;
+}
 
-  const metadataPath = path.join(userDir, `${fileName}.json`);
-  const metadata = {
-    fileName,
-    userEmail,
-    fileSize: fileSize || (oldMetadata ? oldMetadata.fileSize : null),
-    token,
-    uploadDate: oldMetadata ? oldMetadata.uploadDate : new Date().toISOString(),
-    updateDate: new Date().toISOString()
+// Count pool connections ourselves rather than reading mysql2's internals: a request is queued from
+// getConnection() until it gets a connection, which is in use until it is released or destroyed. query() and
+// execute() go through getConnection() like mysql2's own versions do, so they are counted as well.
+function instrumentPool(dbPool) {
+  const getConnection = dbPool.getConnection.bind(dbPool);
+  dbPool.getConnection = async () => {
+    dbPoolQueuedRequests.inc();
+    let connection;
+    try {
+      connection = await getConnection();
+    } finally {
+      dbPoolQueuedRequests.dec();
+    }
+    dbPoolConnections.inc({ state: 'in_use' });
+    let returned = false;
+    for (const method of ['release', 'destroy']) {
+      const call = connection[method].bind(connection);
+      connection[method] = () => {
+        if (!returned) {
+          returned = true;
+          dbPoolConnections.dec({ state: 'in_use' });
+        }
+        return call();
+      };
+    }
+    return connection;
   };
+  for (const method of ['query', 'execute']) {
+    dbPool[method] = async (...args) => {
+      const connection = await dbPool.getConnection();
+      try {
+        return await connection[method](...args);
+      } finally {
+        connection.release();
+      }
+    };
+  }
+  return dbPool;
+}
 
+// Reject if `promise` hasn't settled within `ms`
+function withTimeout(promise, ms, message) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(message)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// Run one readiness check -> { status: 'ok' | 'failing', latencyMs, error? }
+async function runReadinessCheck(name, check) {
+  const started = Date.now();
   try {
-    await fs.promises.writeFile(metadataPath, JSON.stringify(metadata));
-    res.json({ message: 'Metadata file created/updated successfully' });
-  } catch (err) {
-    console.error('Error writing metadata file:', err);
-    res.status(500).json({ error: 'Failed to create/update metadata file' });
+    await withTimeout(check(), READINESS_TIMEOUT_MS, `${name} did not answer within ${READINESS_TIMEOUT_MS}ms`);
+    return { status: 'ok', latencyMs: Date.now() - started };
+  } catch (error) {
+    return { status: 'failing', latencyMs: Date.now() - started, error: error.message || error.code || 'Check failed' };
   }
-});
+}
 
-// API endpoint to get list of files for a user
-app.get('/files', authenticateRequest, async (req, res) => {
-  const userEmail = req.query.userEmail;
+app.get('/healthz', (req, res) => {
+  res.json({ status: 'ok', uptimeSeconds: Math.round(process.uptime()) });
+});
 
-  if (!userEmail) {
-    return res.status(400).json({ error: 'User email is required' });
+app.get('/readyz', async (req, res) => {
+  if (!startupComplete) {
+    return res.status(503).json({ status: 'starting' });
+  }
+  const [database, storageCheck] = await Promise.all([
+    runReadinessCheck('database', () => pool.query('SELECT 1')),
+    runReadinessCheck('storage', () => storage.checkHealth({ timeout: READINESS_TIMEOUT_MS }))
+  ]);
+  const ready = database.status === 'ok' && storageCheck.status === 'ok';
+  if (!ready) {
+    logger.warn(`Readiness check failing: ${JSON.stringify({ database, storage: storageCheck })}`);
   }
+  res.status(ready ? 200 : 503).json({
+    status: ready ? 'ready' : 'not_ready',
+    checks: { database, storage: storageCheck }
+  });
+});
 
+app.get('/metrics', async (req, res) => {
+  if (METRICS_TOKEN && !safeEqual(req.get('Authorization') || '', `Bearer ${METRICS_TOKEN}`)) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
   try {
-    const userDir = path.join(videosDir, userEmail);
-
-    // Create directory if it doesn't exist
-    if (!fs.existsSync(userDir)) {
-      fs.mkdirSync(userDir, { recursive: true });
-      // Return empty array since it's a new directory
-      return res.json([]);
-    }
-
-    const files = await fs.promises.readdir(userDir);
-    const metadataFiles = files.filter(file => file.endsWith('.json'));
-
-    const metadataPromises = metadataFiles.map(async file => {
-      const data = await fs.promises.readFile(path.join(userDir, file), 'utf8');
-      return JSON.parse(data);
-    });
-
-    const metadata = await Promise.all(metadataPromises);
-    res.json(metadata);
-
+    res.set('Content-Type', metrics.contentType).send(await metrics.metrics());
   } catch (error) {
-    console.error('Error reading directory:', error);
-    res.status(500).json({ error: 'Failed to read directory' });
+    logger.error(`Error rendering metrics: ${error.message}`);
+    res.status(500).json({ error: 'Failed to render metrics' });
   }
 });
 
-// API endpoint for file upload
-app.post('/upload', authenticateRequest, limiter, upload.single('file'), async (req, res) => {
-  if (!req.file) {
-    return res.status(400).json({ error: 'No file uploaded' });
+// --- Storage Drivers ---
+// All file operations go through `storage`, picked with STORAGE_DRIVER ('http' by default, or 'local').
+// A driver implements:
+//   receiveFile({ localPath, fileName, userEmail, privacy, size }) -> { token }
+//   receiveStream({ stream, fileName, userEmail, privacy, signal }) -> { token }   (length unknown up front;
+//     aborting `signal` must abandon the transfer and leave nothing stored)
+//   renameFile({ token, newFileName, userEmail }) -> { token }   (newFileName has no extension)
+//   deleteFile({ token, userEmail }) or deleteFile({ fileName, userEmail }) for a named file such as a thumbnail
+//   getThumbnail(token) -> Buffer, or null when there is none
+//   requestToken({ fileName, userEmail }) -> token, or null when the file is unknown
+//   getDownloadUrl(token) -> URL the client downloads from
+//   listFiles(userEmail) -> [{ token, size }] of everything storage holds for the user
+//   checkHealth({ timeout }) resolves when storage is reachable, for /readyz
+
+// Forwards everything to the separate storage/encoding server
+class HttpStorageDriver {
+  constructor(baseUrl, apiKey, signingSecret) {
+    this.baseUrl = baseUrl;
+    this.apiKey = apiKey;
+    this.signingSecret = signingSecret; // Shared with the storage server, which verifies download links
   }
 
-  const userEmail = req.body.userEmail || req.query.userEmail;
-  const privacy = req.body.privacy || 'public'; // Get privacy setting from request
-
-  if (!userEmail) {
-    return res.status(400).json({ error: 'User email is required' });
+  authHeaders() { // Also forwards the request ID, so the storage server's logs can be matched with ours
+    const requestId = currentRequestId();
+    return { 'Authorization': `Bearer ${this.apiKey}`, ...(requestId && { [REQUEST_ID_HEADER]: requestId }) };
   }
 
-  try {
-    const [userRows] = await pool.execute('SELECT plan, storage_limit, storage_used FROM users WHERE email = ?', [userEmail]);
-    if (userRows.length === 0) {
-      return res.status(404).json({ error: 'User not found' });
-    }
-
-    const userPlan = userRows[0].plan;
-    let storageLimit = userRows[0].storage_limit;
-    const currentUsage = userRows[0].storage_used;
-
-    if (storageLimit !== STORAGE_LIMITS[userPlan]) {
-      await setUserStorageLimit(userEmail, userPlan);
-      storageLimit = STORAGE_LIMITS[userPlan];
-    }
-
-    const remainingStorage = storageLimit - currentUsage;
-
-    if (req.file.size > remainingStorage) {
-      if (req.file.path && fs.existsSync(req.file.path)) {
-        fs.unlinkSync(req.file.path); // Delete partially uploaded file if storage exceeded
-      }
-      return res.status(400).json({
-        error: 'File size exceeds remaining storage capacity',
-        remainingStorage: remainingStorage,
-        fileSize: req.file.size
-      });
-    }
-
-    const userDir = path.join(videosDir, userEmail);
-    if (!fs.existsSync(userDir)) {
-      fs.mkdirSync(userDir, { recursive: true });
-    }
-
-    const fileExt = path.extname(req.file.originalname).toLowerCase();
-    if (!allowedExtensions.includes(fileExt)) {
-      if (req.file.path && fs.existsSync(req.file.path)) {
-        fs.unlinkSync(req.file.path); // Delete invalid file type
-      }
-      return res.status(400).json({ error: 'Invalid file type' });
-    }
+  async receiveFile({ localPath, fileName, userEmail, privacy, size }) {
+    return this.sendFile(fs.createReadStream(localPath), { filename: fileName, knownLength: size }, { userEmail, privacy });
+  }
 
-    const oldPath = req.file.path;
-    const newPath = path.join(userDir, req.file.filename);
-    fs.renameSync(oldPath, newPath); // Move uploaded file to user directory
+  async receiveStream({ stream, fileName, userEmail, privacy, signal }) {
+    return this.sendFile(stream, { filename: fileName }, { userEmail, privacy, signal }); // Sent chunked, the length isn't known
+  }
 
+  async sendFile(fileStream, fileOptions, { userEmail, privacy, signal }) {
     const formData = new FormData();
-    formData.append('file', fs.createReadStream(newPath));
+    formData.append('file', fileStream, fileOptions);
     formData.append('userEmail', userEmail);
-    formData.append('filename', req.file.filename);
+    formData.append('filename', fileOptions.filename);
     formData.append('privacy', privacy); // Add privacy to form data
 
-    const response = await axios.post( // Send file to storage server
-      `${process.env.STORAGE_SERVER_URL}/receive?userEmail=${encodeURIComponent(userEmail)}`,
+    const response = await axios.post(
+      `${this.baseUrl}/receive?userEmail=${encodeURIComponent(userEmail)}`,
       formData,
       {
         headers: {
           ...formData.getHeaders(),
-          'Authorization': `Bearer ${process.env.STORAGE_SERVER_API_KEY}`,
+          ...this.authHeaders(),
           'X-User-Email': userEmail
         },
         maxContentLength: Infinity, // Allow large files
-        maxBodyLength: Infinity
+        maxBodyLength: Infinity,
+        signal
       }
     );
+    return { token: response.data.token };
+  }
 
-    const [existingToken] = await pool.execute( // Check if token already exists for this file path and user
-      'SELECT token FROM file_tokens WHERE file_path = ? AND user_email = ?',
-      [newPath, userEmail]
-    );
-
-    let token;
-    if (existingToken.length > 0) {
-      token = existingToken[0].token; // Use existing token
-      // Update existing metadata
-      await pool.execute(
-        'UPDATE file_meta SET privacy = ?, size = ? WHERE token = ?',
-        [privacy, req.file.size, token]
-      );
-    } else {
-      token = response.data.token; // Get new token from storage server response
-      // Insert into file_tokens
-      await pool.execute(
-        'INSERT INTO file_tokens (token, file_path, user_email, file_size) VALUES (?, ?, ?, ?)',
-        [token, newPath, userEmail, req.file.size]
-      );
-
-      // Insert into file_meta
-      await pool.execute(
-        'INSERT INTO file_meta (token, privacy, size) VALUES (?, ?, ?)',
-        [token, privacy, req.file.size]
-      );
-    }
-
-    if (fs.existsSync(newPath)) {
-      fs.unlinkSync(newPath); // Delete local copy after successful upload to storage server
-    }
-
-    const updatedUsage = currentUsage + req.file.size;
-    await pool.execute('UPDATE users SET storage_used = ? WHERE email = ?', [updatedUsage, userEmail]); // Update user storage usage in database
-
-    const newRemainingStorage = storageLimit - updatedUsage;
+  async renameFile({ token, newFileName, userEmail }) {
+    const response = await axios.post(`${this.baseUrl}/rename-file`, {
+      token,
+      newFileName,
+      userEmail
+    }, {
+      headers: this.authHeaders()
+    });
+    return { token: response.data.token || token };
+  }
 
-    if (response.data.token) {
-      try {
-        // First check if entry exists in file_meta
-        const [existingMeta] = await pool.execute(
-          'SELECT token FROM file_meta WHERE token = ?',
-          [response.data.token]
-        );
+  async deleteFile({ token, fileName, userEmail }) {
+    await axios.delete(`${this.baseUrl}/delete-file`, {
+      data: token ? { token, userEmail } : { userEmail, fileName },
+      headers: this.authHeaders()
+    });
+  }
 
-        if (existingMeta.length === 0) {
-          // Only insert if it doesn't exist
-          await pool.execute(
-            'INSERT INTO file_meta (token, size, privacy) VALUES (?, ?, ?)',
-            [response.data.token, req.file.size, req.body.privacy]
-          );
-        } else {
-          // Update existing record instead
-          await pool.execute(
-            'UPDATE file_meta SET size = ?, privacy = ? WHERE token = ?',
-            [req.file.size, req.body.privacy, response.data.token]
-          );
-        }
+  async getThumbnail(token) {
+    const response = await axios.get(`${this.baseUrl}/api/thumbnail/${token}`, {
+      responseType: 'arraybuffer',
+      headers: this.authHeaders()
+    });
+    return response.data;
+  }
 
-        // Get the metadata for response
-        const [metadata] = await pool.execute(
-          'SELECT privacy, views FROM file_meta WHERE token = ?',
-          [response.data.token]
-        );
+  async requestToken({ fileName, userEmail }) {
+    const response = await axios.post(
+      `${this.baseUrl}/request-token`,
+      {
+        filePath: fileName,
+        userEmail: userEmail
+      },
+      {
+        headers: this.authHeaders()
+      }
+    );
+    return response.data.token || null;
+  }
 
-        res.json({ // Respond with success message and file information
-          message: 'File uploaded successfully and encoding started',
-          filename: req.file.filename,
-          userEmail: userEmail,
-          storageUsed: updatedUsage,
-          storageLimit: storageLimit,
-          remainingStorage: newRemainingStorage,
-          userPlan: userPlan,
-          token: response.data.token,
-          privacy: metadata[0].privacy,
-          views: metadata[0].views || 0,
-          size: req.file.size
-        });
-      } catch (error) {
-        console.error('Error handling file metadata:', error);
-        throw error;
+  // Only valid for DOWNLOAD_URL_TTL_MS: the token alone is public (share links, listings), so the storage server
+  // must refuse downloads without a valid signature, or private files and share link limits could be bypassed
+  async getDownloadUrl(token) {
+    const expires = Date.now() + DOWNLOAD_URL_TTL_MS;
+    const signature = signDownload(this.signingSecret, token, expires);
+    return `${this.baseUrl}/api/initiate-download/:token/${token}?expires=${expires}&signature=${signature}`;
+  }
+
+  // Needs GET /api/inventory?userEmail=... on the storage server, answering { files: [{ token, size }] } (see
+  // the readme). Anything else throws, an INVENTORY_UNAVAILABLE error if the endpoint isn't there: a missing
+  // inventory must never be mistaken for an empty one.
+  async listFiles(userEmail) {
+    let response;
+    try {
+      response = await axios.get(`${this.baseUrl}/api/inventory`, {
+        params: { userEmail },
+        headers: this.authHeaders()
+      });
+    } catch (error) {
+      if (error.response && [404, 405, 501].includes(error.response.status)) {
+        throw Object.assign(new Error(`Storage server has no inventory endpoint (GET /api/inventory answered ${error.response.status})`), { code: 'INVENTORY_UNAVAILABLE' });
       }
+      throw new Error(`Storage inventory request failed: ${error.message}`);
     }
-  } catch (error) {
-    console.error('Error in file upload:', error);
-    if (req.file && req.file.path && fs.existsSync(req.file.path)) {
-      fs.unlinkSync(req.file.path); // Delete partially uploaded file on error
+    const files = response.data && response.data.files;
+    if (!Array.isArray(files) || !files.every(file => file && typeof file.token === 'string')) {
+      throw Object.assign(new Error('Storage server answered GET /api/inventory without a { files: [{ token, size }] } list'), { code: 'INVENTORY_UNAVAILABLE' });
     }
-    res.status(500).json({
-      error: 'Failed to process file upload',
-      details: error.message
-    });
+    return files;
   }
-});
 
-// Utility function to get user plan from database
-async function getUserPlan(userEmail) {
-  console.log("Getting user plan for email:", userEmail);
-  const query = 'SELECT plan FROM users WHERE email = ?';
-  const [rows] = await pool.execute(query, [userEmail]);
-  const plan = rows.length > 0 ? rows[0].plan : "Free";
-  console.log("User plan fetched from database:", plan);
-  return plan;
+  async checkHealth({ timeout }) {
+    await axios.get(this.baseUrl, {
+      headers: this.authHeaders(),
+      timeout,
+      validateStatus: status => status < 500 // Any answer short of a server error means it is up
+    });
+  }
 }
 
-// API endpoint to initiate file download (Premium users only)
-app.get('/api/initiate-download/:token', async (req, res) => {
-  console.log("Initiating download for token:", req.params.token);
-  const { token } = req.params;
+// Keeps files on this machine under `rootDir/<userEmail>/<fileName>` and serves downloads itself,
+// so the backend can run without a storage server. Tokens are indexed in `rootDir/.tokens/<token>.json`.
+class LocalStorageDriver {
+  constructor(rootDir, signingSecret) {
+    this.rootDir = rootDir;
+    this.tokensDir = path.join(rootDir, '.tokens');
+    this.signingSecret = signingSecret;
+    fs.mkdirSync(this.tokensDir, { recursive: true });
+  }
 
-  try {
-    const filePath = await getFilePathForToken(token);
+  userDir(userEmail) {
+    const dir = path.join(this.rootDir, path.basename(userEmail));
+    fs.mkdirSync(dir, { recursive: true });
+    return dir;
+  }
 
-    if (!filePath) {
-      console.log("Invalid token:", token);
-      return res.status(404).json({ error: 'Invalid token' });
+  async readTokenEntry(token) {
+    try {
+      return JSON.parse(await fs.promises.readFile(path.join(this.tokensDir, `${path.basename(token)}.json`), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
     }
+  }
 
-    console.log("File path:", filePath);
-    const userEmail = path.basename(path.dirname(filePath));
-    console.log("User email:", userEmail);
-    const userPlan = await getUserPlan(userEmail);
-    console.log("User plan:", userPlan);
+  async writeTokenEntry(token, entry) {
+    await fs.promises.writeFile(path.join(this.tokensDir, `${token}.json`), JSON.stringify(entry));
+  }
 
-    if (userPlan === "Free") {
-      console.log("Free user attempting to download");
-      return res.status(403).json({ error: 'Download is only available for Premium users. Upgrade your plan to access this feature.' });
-    }
+  // Absolute path of the stored file for a token, or null if the token is unknown
+  async resolveFile(token) {
+    const entry = await this.readTokenEntry(token);
+    return entry ? path.join(this.userDir(entry.userEmail), entry.fileName) : null;
+  }
 
-    const storageServerUrl = process.env.STORAGE_SERVER_URL; // Get storage server URL from environment variable
-    const downloadUrl = `${storageServerUrl}/api/initiate-download/:token/${token}`;
-    console.log("Download URL:", downloadUrl);
-    res.json({ downloadUrl });
-  } catch (error) {
-    console.error("Error in initiate-download:", error);
-    res.status(500).json({ error: 'An error occurred while processing your request' });
+  // `localPath` is linked into place rather than moved, so it is still there if recording the upload fails
+  // afterwards and the caller retries (a resumable upload's finalize).
+  async receiveFile({ localPath, fileName, userEmail, privacy, size }) {
+    const token = uuidv4();
+    const safeName = path.basename(fileName);
+    const dir = this.userDir(userEmail);
+    const partialPath = path.join(dir, `.${token}.part`);
+    try {
+      await fs.promises.link(localPath, partialPath);
+    } catch (error) {
+      if (!['EXDEV', 'EPERM', 'ENOTSUP'].includes(error.code)) {
+        throw error;
+      }
+      await fs.promises.copyFile(localPath, partialPath); // Staging dir is on another device, or no hard links
+    }
+    try {
+      await fs.promises.rename(partialPath, path.join(dir, safeName));
+    } catch (error) {
+      removeLocalFile(partialPath);
+      throw error;
+    }
+    await this.writeTokenEntry(token, { userEmail, fileName: safeName, privacy, size, createdAt: new Date().toISOString() });
+    return { token };
   }
-});
 
-// API endpoint to update file name
-app.post('/api/update-file-name', authenticateRequest, async (req, res) => {
-  const { token, newFileName } = req.body;
+  async receiveStream({ stream, fileName, userEmail, privacy, signal }) {
+    const token = uuidv4();
+    const safeName = path.basename(fileName);
+    const dir = this.userDir(userEmail);
+    const partialPath = path.join(dir, `.${token}.part`); // Only renamed into place once complete
+    const out = fs.createWriteStream(partialPath);
+    try {
+      await pipelineAsync(stream, out, { signal });
+      await fs.promises.rename(partialPath, path.join(dir, safeName));
+    } catch (error) {
+      removeLocalFile(partialPath);
+      throw error;
+    }
+    await this.writeTokenEntry(token, { userEmail, fileName: safeName, privacy, size: out.bytesWritten, createdAt: new Date().toISOString() });
+    return { token };
+  }
 
-  try {
-    // Get file information using token
-    const [fileInfo] = await pool.execute(
-      'SELECT file_path, user_email FROM file_tokens WHERE token = ?',
-      [token]
-    );
+  async renameFile({ token, newFileName }) {
+    const entry = await this.readTokenEntry(token);
+    if (!entry) {
+      throw new Error(`Unknown storage token ${token}`);
+    }
+    const dir = this.userDir(entry.userEmail);
+    const renamed = path.basename(newFileName) + path.extname(entry.fileName); // Keep the original extension
+    await fs.promises.rename(path.join(dir, entry.fileName), path.join(dir, renamed));
+    await this.writeTokenEntry(token, { ...entry, fileName: renamed });
+    return { token };
+  }
 
-    if (fileInfo.length === 0) {
-      return res.status(404).json({ error: 'File not found' });
+  async deleteFile({ token, fileName, userEmail }) {
+    if (!token) {
+      removeLocalFile(path.join(this.userDir(userEmail), path.basename(fileName)));
+      return;
+    }
+    const entry = await this.readTokenEntry(token);
+    if (!entry) {
+      return;
     }
+    const dir = this.userDir(entry.userEmail);
+    removeLocalFile(path.join(dir, entry.fileName));
+    removeLocalFile(path.join(dir, this.thumbnailName(entry.fileName)));
+    removeLocalFile(path.join(this.tokensDir, `${token}.json`));
+  }
 
-    const { user_email: userEmail } = fileInfo[0];
-    const oldFileName = path.basename(fileInfo[0].file_path);
+  thumbnailName(fileName) {
+    return fileName.replace(/\.[^/.]+$/, '_thumbnail.jpg'); // Same naming the storage server uses
+  }
 
-    // Find and rename the old metadata file
-    const oldMetadataPath = path.join(videosDir, userEmail, `${oldFileName}.json`);
-    const newMetadataPath = path.join(videosDir, userEmail, `${newFileName}.json`);
+  async getThumbnail(token) {
+    const entry = await this.readTokenEntry(token);
+    if (!entry) {
+      return null;
+    }
+    const thumbnailPath = path.join(this.userDir(entry.userEmail), this.thumbnailName(entry.fileName));
+    return fs.existsSync(thumbnailPath) ? fs.promises.readFile(thumbnailPath) : null; // Nothing generates thumbnails locally
+  }
 
-    if (fs.existsSync(oldMetadataPath)) {
-      // Read existing metadata
-      const metadata = JSON.parse(fs.readFileSync(oldMetadataPath, 'utf8'));
+  async requestToken({ fileName, userEmail }) {
+    for (const file of await fs.promises.readdir(this.tokensDir)) {
+      const token = path.basename(file, '.json');
+      const entry = await this.readTokenEntry(token);
+      if (entry && entry.userEmail === userEmail && entry.fileName === fileName) {
+        return token;
+      }
+    }
+    return null;
+  }
 
-      // Update metadata with new filename
-      metadata.fileName = newFileName;
-      metadata.updateDate = new Date().toISOString();
+  async listFiles(userEmail) {
+    const files = [];
+    for (const file of await fs.promises.readdir(this.tokensDir)) {
+      const token = path.basename(file, '.json');
+      const entry = await this.readTokenEntry(token);
+      if (entry && entry.userEmail === userEmail) {
+        files.push({ token, size: entry.size });
+      }
+    }
+    return files;
+  }
 
-      // Write updated metadata to new file
-      fs.writeFileSync(newMetadataPath, JSON.stringify(metadata));
+  async checkHealth() {
+    await fs.promises.access(this.rootDir, fs.constants.W_OK);
+  }
 
-      // Delete old metadata file
-      fs.unlinkSync(oldMetadataPath);
+  // Check a download URL signature from getDownloadUrl
+  verifySignature(token, expires, signature) {
+    if (!signature || Number(expires) < Date.now()) {
+      return false;
     }
+    return safeEqual(signDownload(this.signingSecret, token, expires), signature);
+  }
 
-    // Send rename request to storage server
-    const response = await axios.post(`${process.env.STORAGE_SERVER_URL}/rename-file`, {
-      token,
-      newFileName,
-      userEmail
-    }, {
-      headers: { 'Authorization': `Bearer ${process.env.STORAGE_SERVER_API_KEY}` }
-    });
+  async getDownloadUrl(token) {
+    const expires = Date.now() + DOWNLOAD_URL_TTL_MS;
+    const baseUrl = process.env.PUBLIC_URL || '';
+    return `${baseUrl}/storage/files/${token}?expires=${expires}&signature=${signDownload(this.signingSecret, token, expires)}`;
+  }
+}
 
-    res.json({
-      message: 'File and metadata renamed successfully',
-      newFileName,
-      token: response.data.token || token
-    });
+// Download links from either driver stay valid for DOWNLOAD_URL_TTL_SECONDS (1 hour by default)
+const DOWNLOAD_URL_TTL_MS = (parseInt(process.env.DOWNLOAD_URL_TTL_SECONDS, 10) || 60 * 60) * 1000;
 
-  } catch (error) {
-    console.error('Error updating file name:', error);
-    res.status(500).json({
-      error: 'Failed to update file name',
-      details: error.message
-    });
-  }
-});
+// Hex HMAC-SHA256 of "<token>.<expires>", the signature on download links
+function signDownload(secret, token, expires) {
+  return crypto.createHmac('sha256', secret).update(`${token}.${expires}`).digest('hex');
+}
 
-// API endpoint to request file deletion
-app.delete('/request/delete/:token', authenticateRequest, async (req, res) => {
-  const { token } = req.params;
+// Read a signing secret, falling back to a random one that only lasts until the next restart
+function secretFromEnv(name, purpose) {
+  if (process.env[name]) {
+    return process.env[name];
+  }
+  logger.warn(`${name} is not set, ${purpose} will stop working after a restart`);
+  return crypto.randomBytes(32).toString('hex');
+}
 
-  try {
-    // Get file information using token
-    const [fileInfo] = await pool.execute(
-      'SELECT file_path, user_email, file_size FROM file_tokens WHERE token = ?',
-      [token]
-    );
+function createStorageDriver() {
+  const driver = process.env.STORAGE_DRIVER || 'http';
+  if (driver === 'local') {
+    const signingSecret = secretFromEnv('LOCAL_STORAGE_SECRET', 'download links');
+    const rootDir = process.env.LOCAL_STORAGE_DIR || path.join(uploadDir, 'storage');
+    logger.info(`Using local storage driver at ${rootDir}`);
+    return new LocalStorageDriver(rootDir, signingSecret);
+  }
+  if (driver !== 'http') {
+    throw new Error(`Unknown STORAGE_DRIVER "${driver}", expected "http" or "local"`);
+  }
+  const signingSecret = process.env.STORAGE_DOWNLOAD_SECRET || process.env.STORAGE_SERVER_API_KEY
+    || secretFromEnv('STORAGE_DOWNLOAD_SECRET', 'storage download links');
+  return new HttpStorageDriver(process.env.STORAGE_SERVER_URL, process.env.STORAGE_SERVER_API_KEY, signingSecret);
+}
 
-    if (fileInfo.length === 0) {
-      return res.status(404).json({ error: 'File not found' });
-    }
+const storage = instrumentStorage(createStorageDriver());
 
-    const { user_email: userEmail, file_size: fileSize } = fileInfo[0];
-    const fileName = path.basename(fileInfo[0].file_path);
+// --- User Authentication ---
+// Callers identify themselves with a signed JWT (`Authorization: Bearer <jwt>`) or a per-user API key
+// (`X-API-Key: vk_...` or `Authorization: Bearer vk_...`). The user's email always comes from the credential.
 
-    // Delete metadata file
-    const metadataPath = path.join(videosDir, userEmail, `${fileName}.json`);
-    if (fs.existsSync(metadataPath)) {
-      fs.unlinkSync(metadataPath);
-    }
+const API_KEY_PREFIX = 'vk_'; // Distinguishes API keys from JWTs in the Authorization header
 
-    // Send delete request to storage server
-    await axios.delete(`${process.env.STORAGE_SERVER_URL}/delete-file`, {
-      data: {
-        token,
-        userEmail
-      },
-      headers: {
-        'Authorization': `Bearer ${process.env.STORAGE_SERVER_API_KEY}`
-      }
-    });
+function readKeyFromEnv(valueVar, fileVar) { // PEM keys can be given inline (with \n escapes) or as a file path
+  if (process.env[fileVar]) {
+    return fs.readFileSync(process.env[fileVar], 'utf8');
+  }
+  return process.env[valueVar] ? process.env[valueVar].replace(/\\n/g, '\n') : null;
+}
 
-    // Remove token from database
-    await pool.execute('DELETE FROM file_tokens WHERE token = ?', [token]);
+const jwtPublicKey = readKeyFromEnv('JWT_PUBLIC_KEY', 'JWT_PUBLIC_KEY_FILE');
+const jwtVerificationKey = jwtPublicKey || process.env.JWT_SECRET; // Key pair takes precedence over a shared secret
+const jwtVerifyOptions = {
+  algorithms: process.env.JWT_ALGORITHMS
+    ? process.env.JWT_ALGORITHMS.split(',')
+    : (jwtPublicKey ? ['RS256', 'ES256'] : ['HS256']),
+  issuer: process.env.JWT_ISSUER || undefined,
+  audience: process.env.JWT_AUDIENCE || undefined
+};
 
-    // Update user's storage usage
-    const updateStorageQuery = 'UPDATE users SET storage_used = GREATEST(storage_used - ?, 0) WHERE email = ?';
-    await pool.execute(updateStorageQuery, [fileSize, userEmail]);
+if (!jwtVerificationKey) {
+  logger.warn('Neither JWT_SECRET nor JWT_PUBLIC_KEY is set, only API keys will be accepted');
+}
 
-    res.json({
-      message: 'File and metadata deleted successfully',
-      details: {
-        storageFreed: fileSize,
-        userEmail: userEmail
-      }
-    });
+// Constant-time string comparison for secrets and signatures
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
 
-  } catch (error) {
-    console.error('Error processing file deletion:', error);
-    res.status(500).json({
-      error: 'Failed to process file deletion',
-      details: error.message
-    });
+// Check a callback signed with the hex HMAC-SHA256 of "<timestamp>.<raw body>" (STE webhooks, storage callbacks).
+// Returns the reason it was refused, or null if the signature is valid and recent.
+function verifyTimestampedSignature(req, { secret, timestampHeader, signatureHeader, toleranceSeconds }) {
+  const timestamp = req.get(timestampHeader);
+  const signature = req.get(signatureHeader);
+  if (!secret || !timestamp || !signature || !req.rawBody) {
+    return 'Missing signature';
+  }
+  if (!/^\d+$/.test(timestamp) || Math.abs(Date.now() / 1000 - Number(timestamp)) > toleranceSeconds) {
+    return 'Timestamp outside the allowed tolerance';
   }
-});
 
-// API endpoint to get file thumbnail
-app.get('/api/thumbnail/:token', authenticateRequest, async (req, res) => {
-  const { token } = req.params;
+  const expected = crypto.createHmac('sha256', secret)
+    .update(`${timestamp}.`)
+    .update(req.rawBody)
+    .digest('hex');
+  return safeEqual(expected, signature.toLowerCase()) ? null : 'Invalid signature';
+}
 
-  try {
-    const [fileInfo] = await pool.execute(
-      'SELECT user_email FROM file_tokens WHERE token = ?',
-      [token]
-    );
+function hashApiKey(apiKey) {
+  return crypto.createHash('sha256').update(apiKey).digest('hex');
+}
 
-    if (fileInfo.length === 0) {
-      return res.status(404).json({ error: 'File not found' });
+// Resolve the caller from the request credentials; returns null when there are none or they are invalid
+async function resolveUser(req) {
+  const authorization = req.get('authorization') || '';
+  const bearer = authorization.startsWith('Bearer ') ? authorization.slice(7).trim() : null;
+  const apiKey = req.get('x-api-key') || (bearer && bearer.startsWith(API_KEY_PREFIX) ? bearer : null);
+
+  if (apiKey) {
+    const [rows] = await pool.execute(
+      'SELECT id, user_email FROM api_keys WHERE key_hash = ? AND revoked_at IS NULL',
+      [hashApiKey(apiKey)]
+    );
+    if (rows.length === 0) {
+      securityLogger.warn(`Rejected unknown or revoked API key from ${req.ip}`);
+      return null;
     }
+    pool.execute('UPDATE api_keys SET last_used_at = NOW() WHERE id = ?', [rows[0].id])
+      .catch(error => logger.error(`Failed to record API key usage: ${error.message}`));
+    return { email: rows[0].user_email, role: 'user', authMethod: 'api_key', apiKeyId: rows[0].id };
+  }
 
-    const thumbnailUrl = `${process.env.STORAGE_SERVER_URL}/api/thumbnail/${token}`;
-    const response = await axios.get(thumbnailUrl, {
-      responseType: 'arraybuffer',
-      headers: {
-        'Authorization': `Bearer ${process.env.STORAGE_SERVER_API_KEY}`
+  if (bearer && jwtVerificationKey) {
+    try {
+      const claims = jwt.verify(bearer, jwtVerificationKey, jwtVerifyOptions);
+      const email = claims.email || claims.sub;
+      if (!email) {
+        return null;
       }
-    });
+      return { email, role: claims.role || 'user', authMethod: 'jwt' };
+    } catch (error) {
+      securityLogger.warn(`Rejected bearer token from ${req.ip}: ${error.message}`);
+      return null;
+    }
+  }
 
-    res.set('Content-Type', 'image/jpeg');
-    res.send(response.data);
+  return null;
+}
 
+const requireUser = [async (req, res, next) => { // Middleware that sets req.user or rejects the request, then applies the rate limit
+  try {
+    const user = await resolveUser(req);
+    if (!user) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+    req.user = user;
+    next();
   } catch (error) {
-    console.error('Error fetching thumbnail:', error);
-    res.status(500).json({ error: 'Failed to fetch thumbnail' });
+    next(error);
   }
-});
+}, limitRequestRate];
 
-// API endpoint to request thumbnail deletion (potentially unused in frontend, but kept for completeness)
-app.delete('/request/delete-thumbnail/:token', authenticateRequest, async (req, res) => {
-  const { token } = req.params;
+const optionalUser = [async (req, res, next) => { // Middleware that sets req.user when credentials are present, anonymous otherwise
+  try {
+    req.user = await resolveUser(req);
+    next();
+  } catch (error) {
+    next(error);
+  }
+}, limitRequestRate];
 
+// Middleware for admin-only endpoints: the ADMIN_API_KEY in X-Admin-Key, or a JWT carrying role "admin"
+const requireAdmin = async (req, res, next) => {
   try {
-    const [fileInfo] = await pool.execute(
-      'SELECT file_path, user_email FROM file_tokens WHERE token = ?',
-      [token]
-    );
+    const adminKey = req.get('x-admin-key');
+    if (adminKey && process.env.ADMIN_API_KEY && safeEqual(adminKey, process.env.ADMIN_API_KEY)) {
+      req.admin = { id: 'admin-api-key' };
+      return next();
+    }
 
-    if (fileInfo.length === 0) {
-      return res.status(404).json({ error: 'Token not found' });
+    const user = await resolveUser(req);
+    if (user && user.authMethod === 'jwt' && user.role === 'admin') {
+      req.user = user;
+      req.admin = { id: user.email };
+      return next();
     }
 
-    const { file_path: filePath, user_email: userEmail } = fileInfo[0];
-    const fileName = path.basename(filePath);
-    const thumbnailName = fileName.replace(/\.[^/.]+$/, "_thumbnail.jpg");
+    securityLogger.warn(`Rejected admin request to ${redactUrl(req.originalUrl)} from ${req.ip}`);
+    res.status(403).json({ error: 'Admin access required' });
+  } catch (error) {
+    next(error);
+  }
+};
 
-    await axios.delete(`${process.env.STORAGE_SERVER_URL}/delete-file`, {
-      headers: {
-        'Authorization': `Bearer ${process.env.STORAGE_SERVER_API_KEY}`
-      },
-      data: {
-        userEmail: userEmail,
-        fileName: thumbnailName
-      }
-    });
+// Fetch a file_tokens row only if it belongs to `userEmail`; foreign and trashed tokens look the same as unknown ones
+async function findOwnedFile(token, userEmail) {
+  const [rows] = await pool.execute(
+    'SELECT token, file_path, user_email, file_size FROM file_tokens WHERE token = ? AND user_email = ? AND deleted_at IS NULL',
+    [token, userEmail]
+  );
+  return rows[0] || null;
+}
 
-    res.json({ message: 'Thumbnail deletion request sent successfully' });
+// API endpoint to create an API key; the plaintext key is only ever returned here
+// Requires a JWT so that a leaked API key can't be used to mint more keys
+app.post('/api/keys', authenticateRequest, requireUser, async (req, res) => {
+  if (req.user.authMethod !== 'jwt') {
+    return res.status(403).json({ error: 'API keys can only be managed with a signed-in session' });
+  }
 
+  const name = (req.body.name || '').trim() || 'API key';
+  const apiKey = API_KEY_PREFIX + crypto.randomBytes(32).toString('base64url');
+  const keyPrefix = apiKey.slice(0, API_KEY_PREFIX.length + 8); // Shown in listings so users can tell keys apart
+
+  try {
+    const [result] = await pool.execute(
+      'INSERT INTO api_keys (user_email, name, key_prefix, key_hash) VALUES (?, ?, ?, ?)',
+      [req.user.email, name.slice(0, 100), keyPrefix, hashApiKey(apiKey)]
+    );
+    logger.info(`API key ${result.insertId} created for ${req.user.email}`);
+    res.status(201).json({ id: result.insertId, name, keyPrefix, apiKey });
   } catch (error) {
-    console.error('Error processing thumbnail deletion:', error);
-    res.status(500).json({ error: 'Failed to process thumbnail deletion' });
+    logger.error(`Error creating API key: ${error.message}`);
+    res.status(500).json({ error: 'Failed to create API key' });
   }
 });
 
-// API endpoint to request a token from storage server (potentially unused in current flow, but kept for flexibility)
-app.post('/request-token', authenticateRequest, async (req, res) => {
-  const { fileName, userEmail } = req.body;
+// API endpoint to list the caller's API keys (without the secrets)
+app.get('/api/keys', authenticateRequest, requireUser, async (req, res) => {
+  try {
+    const [rows] = await pool.execute(
+      'SELECT id, name, key_prefix, created_at, last_used_at, revoked_at FROM api_keys WHERE user_email = ? ORDER BY created_at DESC',
+      [req.user.email]
+    );
+    res.json(rows.map(row => ({
+      id: row.id,
+      name: row.name,
+      keyPrefix: row.key_prefix,
+      createdAt: row.created_at,
+      lastUsedAt: row.last_used_at,
+      revokedAt: row.revoked_at
+    })));
+  } catch (error) {
+    logger.error(`Error listing API keys: ${error.message}`);
+    res.status(500).json({ error: 'Failed to list API keys' });
+  }
+});
 
-  if (!fileName || !userEmail) {
-    return res.status(400).json({ error: 'File name and user email are required' });
+// API endpoint to revoke one of the caller's API keys
+app.delete('/api/keys/:id', authenticateRequest, requireUser, async (req, res) => {
+  if (req.user.authMethod !== 'jwt') {
+    return res.status(403).json({ error: 'API keys can only be managed with a signed-in session' });
   }
 
   try {
-    const response = await axios.post(
-      `${process.env.STORAGE_SERVER_URL}/request-token`,
-      {
-        filePath: fileName,
-        userEmail: userEmail
-      },
-      {
-        headers: {
-          'Authorization': `Bearer ${process.env.STORAGE_SERVER_API_KEY}`
-        }
-      }
+    const [result] = await pool.execute(
+      'UPDATE api_keys SET revoked_at = NOW() WHERE id = ? AND user_email = ? AND revoked_at IS NULL',
+      [req.params.id, req.user.email]
     );
-
-    if (response.data.token) {
-      console.log('Token received for file:', fileName);
-      return res.json({ token: response.data.token });
-    } else {
-      console.log('No token found for file:', fileName);
-      return res.status(404).json({ error: 'No token found for this file' });
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ error: 'API key not found' });
     }
-
+    logger.info(`API key ${req.params.id} revoked by ${req.user.email}`);
+    res.json({ message: 'API key revoked' });
   } catch (error) {
-    console.error('Error requesting token from storage server:', error);
-    res.status(500).json({
-      error: 'Failed to retrieve token',
-      details: error.response ? error.response.data : error.message
-    });
+    logger.error(`Error revoking API key: ${error.message}`);
+    res.status(500).json({ error: 'Failed to revoke API key' });
   }
 });
 
-// API endpoint to receive payment status updates from STE (Payment Gateway)
-app.post('/api/ste', async (req, res) => {
-  const { referenceId, status, steApiKey: providedSteApiKey } = req.body;
+// Endpoint to create a folder from a path such as "a/b" (older clients; see Folders for the full API)
+app.post('/createdir', authenticateRequest, requireUser, async (req, res) => {
+  const dirName = req.body.dir_name;
+  if (!dirName) {
+    return res.status(400).json({ error: 'Directory name is required' });
+  }
+
+  // Like mkdir -p: "a/b" creates (or reuses) folder a and folder b inside it
+  const names = String(dirName).split('/').map(name => name.trim()).filter(Boolean);
+  let nameError = names.length === 0 ? 'Directory name is required' : names.map(validateFolderName).find(Boolean);
+  if (names.length > MAX_FOLDER_DEPTH) {
+    nameError = `Folders can be nested at most ${MAX_FOLDER_DEPTH} levels deep`;
+  }
+  if (nameError) {
+    return res.status(400).json({ error: nameError });
+  }
 
   try {
-    if (!steApiKey || providedSteApiKey !== steApiKey) {
-      logger.warn(`Invalid STE API key used from IP: ${req.ip}`);
-      return res.status(401).json({ error: 'Unauthorized: Invalid STE API key' });
+    const parent = await resolveParentFolder(req.body.parent_id, req.user.email);
+    if (parent.error) {
+      return res.status(parent.status || 400).json({ error: parent.error });
     }
 
-    const [result] = await pool.execute(
-      'UPDATE payments SET payment_status = ? WHERE reference_id = ?',
-      [status, referenceId]
-    );
-
-    // 3. Handle Update Results:
-    if (result.affectedRows === 0) {
-      // No matching reference_id was found
-      logger.warn(`No payment found for reference ID: ${referenceId}`);
-      return res.status(404).json({ error: 'Payment not found' });
+    let folder = null;
+    let parentId = parent.parentId;
+    for (const name of names) {
+      ({ folder } = await createFolder(req.user.email, parentId, name));
+      parentId = folder.id;
     }
 
-    // 4. Send Success Response:
-    logger.info(`Payment status updated to "${status}" for reference ID: ${referenceId}`);
-    res.json({ message: 'Payment status updated successfully' });
-
+    logger.info(`Directory "${dirName}" created successfully`);
+    res.status(201).json({ message: `Directory "${dirName}" created successfully`, folder: formatFolder(folder) });
   } catch (error) {
-    logger.error(`Error updating payment status: ${error}`);
-    res.status(500).json({ error: 'Failed to update payment status' });
+    logger.error(`Failed to create directory: ${error}`);
+    res.status(500).json({ error: 'Failed to create directory' });
   }
 });
 
-// API endpoint to get file analytics (views, privacy, size)
-app.get('/api/file-analytics/:token', authenticateRequest, async (req, res) => {
-  const { token } = req.params;
+// Serve the main index.html for frontend (static file serving)
+app.get('/', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'index.html'));
+});
 
-  try {
-    // Fetch analytics data from file_meta table
-    const [fileMetaData] = await pool.execute(
-      'SELECT views, privacy, size FROM file_meta WHERE token = ?',
-      [token]
-    );
+// --- Plan Catalog ---
+// Plans live in the `plans` table (storage limit, maximum file size, download permission and allowed formats)
+// with alternative names in `plan_aliases`, e.g. the Pro/Expert names used by payments. Adding or changing a
+// tier is a data change; the catalog is cached for a minute. users.storage_limit mirrors the user's plan (or
+// the storage_limit_override an admin set) so SQL can enforce the quota, and is re-synced whenever it's found
+// out of date.
+
+const PLAN_CACHE_TTL_MS = 60 * 1000;
+let planCatalog = null;
+let planCatalogLoadedAt = 0;
+
+function formatPlan(row) {
+  return {
+    name: row.name,
+    storageLimit: Number(row.storage_limit),
+    maxFileSize: Number(row.max_file_size),
+    canDownload: Boolean(row.can_download),
+    allowedFormats: JSON.parse(row.allowed_formats),
+    isDefault: Boolean(row.is_default),
+    requestsPerMinute: row.requests_per_minute === null ? null : Number(row.requests_per_minute), // null = unlimited
+    uploadsPerDay: row.uploads_per_day === null ? null : Number(row.uploads_per_day),
+    uploadBytesPerDay: row.upload_bytes_per_day === null ? null : Number(row.upload_bytes_per_day),
+    downloadBytesPerMonth: row.download_bytes_per_month === null ? null : Number(row.download_bytes_per_month)
+  };
+}
 
-    if (fileMetaData.length === 0) {
-      return res.status(404).json({ error: 'File not found' });
-    }
+async function getPlanCatalog() {
+  if (planCatalog && Date.now() - planCatalogLoadedAt < PLAN_CACHE_TTL_MS) {
+    return planCatalog;
+  }
 
-    res.json({
-      views: fileMetaData[0].views || 0,
-      privacy: fileMetaData[0].privacy,
-      size: fileMetaData[0].size
-    });
+  const [planRows] = await pool.execute('SELECT * FROM plans ORDER BY storage_limit');
+  const [aliasRows] = await pool.execute('SELECT alias, plan_name FROM plan_aliases');
+  if (planRows.length === 0) {
+    throw new Error('The plans table is empty');
+  }
 
-  } catch (error) {
-    console.error('Error fetching file analytics:', error);
-    res.status(500).json({ error: 'Failed to fetch analytics data' });
+  const plans = new Map(planRows.map(row => [row.name.toLowerCase(), formatPlan(row)]));
+  const aliases = new Map(aliasRows.map(row => [row.alias.toLowerCase(), row.plan_name.toLowerCase()]));
+  const defaultPlan = [...plans.values()].find(plan => plan.isDefault) || [...plans.values()][0];
+
+  planCatalog = { plans, aliases, defaultPlan };
+  planCatalogLoadedAt = Date.now();
+  return planCatalog;
+}
+
+function invalidatePlanCatalog() {
+  planCatalog = null;
+}
+
+// Resolve a plan by name or alias (case-insensitive); unknown names get the default plan
+async function resolvePlan(name) {
+  const catalog = await getPlanCatalog();
+  const key = String(name || '').toLowerCase();
+  return catalog.plans.get(key) || catalog.plans.get(catalog.aliases.get(key)) || catalog.defaultPlan;
+}
+
+// Load a user with their resolved plan; returns null for unknown users. An admin's storage limit override
+// replaces the plan's storage limit in the returned plan.
+async function getUserAccount(userEmail) {
+  const [rows] = await pool.execute(
+    'SELECT email, plan, storage_limit, storage_used, storage_limit_override, suspended_at FROM users WHERE email = ?',
+    [userEmail]
+  );
+  if (rows.length === 0) {
+    return null;
+  }
+
+  const user = rows[0];
+  const basePlan = await resolvePlan(user.plan);
+  const plan = user.storage_limit_override === null ? basePlan : { ...basePlan, storageLimit: Number(user.storage_limit_override) };
+  if (user.plan !== plan.name || Number(user.storage_limit) !== plan.storageLimit) {
+    await pool.execute('UPDATE users SET plan = ?, storage_limit = COALESCE(storage_limit_override, ?) WHERE email = ?', [plan.name, plan.storageLimit, userEmail]);
+    user.plan = plan.name;
+    user.storage_limit = plan.storageLimit;
+  }
+  return { user, plan };
+}
+
+// Suspended accounts (see Admin API) can't upload or download
+function suspendedRejection() {
+  return { status: 403, body: { error: 'This account is suspended, contact support', suspended: true } };
+}
+
+// Users storing more than their plan allows (e.g. after a downgrade) keep their files but can't add more
+function isReadOnly({ user, plan }) {
+  return Number(user.storage_used) > plan.storageLimit;
+}
+
+// Check a file against the user's plan and remaining quota; returns { status, body } to reject it, or null.
+// The format check is skipped when the file name isn't known yet.
+function checkUploadAgainstPlan({ user, plan }, { fileName, size }) {
+  if (user.suspended_at) {
+    return suspendedRejection();
+  }
+
+  if (isReadOnly({ user, plan })) {
+    return {
+      status: 403,
+      body: {
+        error: `Your files use more than the ${plan.name} plan allows, so the account is read-only until files are deleted or the plan is upgraded`,
+        readOnly: true,
+        storageUsed: Number(user.storage_used),
+        storageLimit: plan.storageLimit
+      },
+      quotaExceeded: true
+    };
+  }
+
+  if (size > plan.maxFileSize) {
+    return {
+      status: 413,
+      body: {
+        error: `Files on the ${plan.name} plan can be at most ${plan.maxFileSize} bytes`,
+        maxFileSize: plan.maxFileSize,
+        fileSize: size
+      }
+    };
+  }
+
+  const remainingStorage = plan.storageLimit - user.storage_used;
+  if (size > remainingStorage) {
+    return {
+      status: 400,
+      body: {
+        error: 'File size exceeds remaining storage capacity',
+        remainingStorage: remainingStorage,
+        fileSize: size
+      },
+      quotaExceeded: true
+    };
+  }
+
+  if (fileName !== undefined && !plan.allowedFormats.includes(path.extname(fileName).toLowerCase())) {
+    return { status: 400, body: { error: 'Invalid file type', allowedFormats: plan.allowedFormats } };
+  }
+
+  return null;
+}
+
+// API endpoint to list the available plans (e.g. for a pricing page)
+app.get('/api/plans', authenticateRequest, async (req, res) => {
+  try {
+    const catalog = await getPlanCatalog();
+    res.json([...catalog.plans.values()].map(plan => ({
+      ...plan,
+      aliases: [...catalog.aliases].filter(([, target]) => target === plan.name.toLowerCase()).map(([alias]) => alias)
+    })));
+  } catch (error) {
+    logger.error(`Error listing plans: ${error.message}`);
+    res.status(500).json({ error: 'Failed to list plans' });
+  }
+});
+
+// Admin endpoint to create or update a plan and its aliases
+// Body: { storageLimit, maxFileSize, canDownload, allowedFormats: ['.mp4', ...], isDefault, aliases: ['Pro'],
+//         requestsPerMinute, uploadsPerDay, uploadBytesPerDay, downloadBytesPerMonth, reason } - usage limits default to
+//         null (unlimited), the optional reason goes to the admin audit log
+app.put('/api/admin/plans/:name', requireAdmin, async (req, res) => {
+  const { name } = req.params;
+  const { storageLimit, maxFileSize, canDownload = false, allowedFormats = allowedExtensions, isDefault = false, aliases = [] } = req.body || {};
+  const usageLimits = ['requestsPerMinute', 'uploadsPerDay', 'uploadBytesPerDay', 'downloadBytesPerMonth']
+    .map(field => (req.body || {})[field] === undefined ? null : req.body[field]);
+
+  if (!Number.isSafeInteger(storageLimit) || storageLimit < 0 || !Number.isSafeInteger(maxFileSize) || maxFileSize <= 0) {
+    return res.status(400).json({ error: 'storageLimit and maxFileSize must be byte counts' });
+  }
+  if (!Array.isArray(allowedFormats) || !allowedFormats.every(format => /^\.[a-z0-9]+$/.test(format))) {
+    return res.status(400).json({ error: 'allowedFormats must be a list of lowercase extensions such as ".mp4"' });
+  }
+  if (!Array.isArray(aliases)) {
+    return res.status(400).json({ error: 'aliases must be a list of names' });
+  }
+  if (!usageLimits.every(limit => limit === null || (Number.isSafeInteger(limit) && limit >= 0))) {
+    return res.status(400).json({ error: 'requestsPerMinute, uploadsPerDay, uploadBytesPerDay and downloadBytesPerMonth must be null or non-negative integers' });
+  }
+
+  let connection;
+  try {
+    connection = await pool.getConnection();
+    await connection.beginTransaction();
+    if (isDefault) {
+      await connection.execute('UPDATE plans SET is_default = FALSE');
+    }
+    await connection.execute(
+      `INSERT INTO plans (name, storage_limit, max_file_size, can_download, allowed_formats, is_default,
+         requests_per_minute, uploads_per_day, upload_bytes_per_day, download_bytes_per_month) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+       ON DUPLICATE KEY UPDATE storage_limit = VALUES(storage_limit), max_file_size = VALUES(max_file_size),
+         can_download = VALUES(can_download), allowed_formats = VALUES(allowed_formats), is_default = VALUES(is_default),
+         requests_per_minute = VALUES(requests_per_minute), uploads_per_day = VALUES(uploads_per_day),
+         upload_bytes_per_day = VALUES(upload_bytes_per_day), download_bytes_per_month = VALUES(download_bytes_per_month)`,
+      [name, storageLimit, maxFileSize, Boolean(canDownload), JSON.stringify(allowedFormats), Boolean(isDefault), ...usageLimits]
+    );
+    await connection.execute('DELETE FROM plan_aliases WHERE plan_name = ?', [name]);
+    for (const alias of aliases) {
+      await connection.execute(
+        'INSERT INTO plan_aliases (alias, plan_name) VALUES (?, ?) ON DUPLICATE KEY UPDATE plan_name = VALUES(plan_name)',
+        [alias, name]
+      );
+    }
+    await connection.execute('UPDATE users SET storage_limit = ? WHERE plan = ? AND storage_limit_override IS NULL', [storageLimit, name]);
+    const { reason = null, ...changes } = req.body;
+    await recordAdminAction(req, 'plan.updated', { reason: typeof reason === 'string' ? reason : null, details: { name, ...changes } }, connection);
+    await connection.commit();
+
+    invalidatePlanCatalog();
+    res.json(await resolvePlan(name));
+  } catch (error) {
+    if (connection) {
+      await connection.rollback().catch(rollbackError => logger.error(`Rollback failed: ${rollbackError.message}`));
+    }
+    logger.error(`Error updating plan: ${error.message}`);
+    res.status(500).json({ error: 'Failed to update plan' });
+  } finally {
+    if (connection) {
+      connection.release();
+    }
+  }
+});
+
+// --- Usage Limits ---
+// Each plan sets a request rate and upload/download allowances (NULL = unlimited). Usage is counted in the
+// usage_counters table per subject ("user:<email>", or "ip:<address>" for anonymous callers) and fixed window:
+// requests per minute, uploads and uploaded bytes per UTC day, download bytes per UTC month. Counters live in
+// MySQL so they survive restarts and are shared by every instance. Responses carry RateLimit-Limit,
+// RateLimit-Remaining, RateLimit-Reset (seconds) and RateLimit-Policy headers; refusals are 429 with Retry-After.
+
+const ANONYMOUS_REQUESTS_PER_MINUTE = parseInt(process.env.ANONYMOUS_REQUESTS_PER_MINUTE, 10) || 60;
+const USAGE_CLEANUP_INTERVAL_MS = 60 * 60 * 1000;
+const USAGE_METRICS = { // Metric -> counting window and the plan field that limits it
+  requests: { window: 'minute', planField: 'requestsPerMinute' },
+  uploads: { window: 'day', planField: 'uploadsPerDay' },
+  upload_bytes: { window: 'day', planField: 'uploadBytesPerDay' },
+  download_bytes: { window: 'month', planField: 'downloadBytesPerMonth' }
+};
+
+// Start and end of the window containing `now`
+function usageWindow(window, now = new Date()) {
+  if (window === 'minute') {
+    const start = new Date(Math.floor(now.getTime() / 60000) * 60000);
+    return { start, reset: new Date(start.getTime() + 60000) };
+  }
+  if (window === 'day') {
+    const start = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+    return { start, reset: new Date(start.getTime() + DAY_MS) };
+  }
+  return {
+    start: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1)),
+    reset: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1))
+  };
+}
+
+// Add `amount` to a counter and return the new total in one atomic statement (LAST_INSERT_ID carries the
+// updated value back when the row already existed)
+async function addUsage(subject, metric, amount) {
+  const { start } = usageWindow(USAGE_METRICS[metric].window);
+  const [result] = await pool.execute(
+    `INSERT INTO usage_counters (subject, metric, window_start, amount) VALUES (?, ?, ?, ?)
+     ON DUPLICATE KEY UPDATE amount = LAST_INSERT_ID(amount + VALUES(amount))`,
+    [subject, metric, start, amount]
+  );
+  if (result.affectedRows === 1) {
+    return amount; // New row
+  }
+  return result.affectedRows === 2 ? Number(result.insertId) : getUsage(subject, metric); // 0 rows: amount was 0
+}
+
+async function getUsage(subject, metric) {
+  const { start } = usageWindow(USAGE_METRICS[metric].window);
+  const [rows] = await pool.execute(
+    'SELECT amount FROM usage_counters WHERE subject = ? AND metric = ? AND window_start = ?',
+    [subject, metric, start]
+  );
+  return rows.length > 0 ? Number(rows[0].amount) : 0;
+}
+
+// State of one limit for a plan: { metric, limit, used, remaining, reset }, or null when the plan has no limit
+async function usageStatus(userEmail, plan, metric) {
+  const limit = plan[USAGE_METRICS[metric].planField];
+  if (limit === null) {
+    return null;
+  }
+  const used = await getUsage(`user:${userEmail}`, metric);
+  return { metric, limit, used, remaining: Math.max(0, limit - used), reset: usageWindow(USAGE_METRICS[metric].window).reset };
+}
+
+function rateLimitHeaders({ metric, limit, remaining, reset }) {
+  const { start } = usageWindow(USAGE_METRICS[metric].window);
+  return {
+    'RateLimit-Limit': String(limit),
+    'RateLimit-Remaining': String(Math.max(0, remaining)),
+    'RateLimit-Reset': String(Math.max(0, Math.ceil((reset - Date.now()) / 1000))),
+    'RateLimit-Policy': `${limit};w=${Math.round((reset - start) / 1000)}`
+  };
+}
+
+// A { status, body, headers } refusal for a limit that's used up, in the shape checkUploadAgainstPlan returns
+function usageLimitRejection(status, error) {
+  const headers = rateLimitHeaders(status);
+  return {
+    status: 429,
+    body: { error, metric: status.metric, limit: status.limit, used: status.used, resetAt: status.reset.toISOString() },
+    headers: { ...headers, 'Retry-After': headers['RateLimit-Reset'] }
+  };
+}
+
+// Check an upload of `size` bytes against the daily upload allowances; returns a rejection or null.
+// Also returns the bytes still allowed today, so uploads of unknown size can be cut off there.
+async function checkUploadAllowance(userEmail, plan, size) {
+  const uploads = await usageStatus(userEmail, plan, 'uploads');
+  if (uploads && uploads.used + 1 > uploads.limit) {
+    return { rejection: usageLimitRejection(uploads, `The ${plan.name} plan allows ${uploads.limit} uploads per day`) };
+  }
+  const bytes = await usageStatus(userEmail, plan, 'upload_bytes');
+  if (bytes && bytes.used + size > bytes.limit) {
+    return { rejection: usageLimitRejection(bytes, `The ${plan.name} plan allows uploading ${bytes.limit} bytes per day`) };
+  }
+  return { rejection: null, bytesRemaining: bytes ? bytes.remaining : Infinity };
+}
+
+async function recordUploadUsage(userEmail, size) {
+  await addUsage(`user:${userEmail}`, 'uploads', 1);
+  await addUsage(`user:${userEmail}`, 'upload_bytes', size);
+}
+
+// Middleware run after the caller is identified (part of requireUser and optionalUser): counts the request
+// against the plan's per-minute rate, or the anonymous rate per IP. Counter failures let the request through.
+async function limitRequestRate(req, res, next) {
+  try {
+    const limit = req.user ? (await getUserPlan(req.user.email)).requestsPerMinute : ANONYMOUS_REQUESTS_PER_MINUTE;
+    if (limit === null) {
+      return next();
+    }
+    const used = await addUsage(req.user ? `user:${req.user.email}` : `ip:${req.ip}`, 'requests', 1);
+    const status = { metric: 'requests', limit, used, remaining: limit - used, reset: usageWindow('minute').reset };
+    if (used > limit) {
+      const rejection = usageLimitRejection(status, 'Too Many Requests');
+      securityLogger.warn(`Rate limit exceeded for ${req.user ? req.user.email : req.ip}`);
+      return res.set(rejection.headers).status(rejection.status).json(rejection.body);
+    }
+    res.set(rateLimitHeaders(status));
+  } catch (error) {
+    logger.error(`Failed to count request: ${error.message}`);
+  }
+  next();
+}
+
+// Scheduled job: drop counters of windows that have ended
+async function cleanupUsageCounters() {
+  const now = Date.now();
+  await pool.execute(
+    `DELETE FROM usage_counters
+     WHERE (metric = 'requests' AND window_start < ?) OR (metric IN ('uploads', 'upload_bytes') AND window_start < ?)
+       OR (metric = 'download_bytes' AND window_start < ?)`,
+    [new Date(now - 60 * 60 * 1000), new Date(now - 2 * DAY_MS), new Date(now - 62 * DAY_MS)]
+  );
+}
+
+// { metric: { used, limit, resetAt } } for every usage metric in the current windows
+async function usageSummary(userEmail, plan) {
+  const usage = {};
+  for (const metric of Object.keys(USAGE_METRICS)) {
+    const { reset } = usageWindow(USAGE_METRICS[metric].window);
+    const limit = plan[USAGE_METRICS[metric].planField];
+    usage[metric] = { used: await getUsage(`user:${userEmail}`, metric), limit, resetAt: reset.toISOString() };
+  }
+  return usage;
+}
+
+// API endpoint to show the caller's current usage against their plan's limits
+app.get('/api/usage', authenticateRequest, requireUser, async (req, res) => {
+  try {
+    const plan = await getUserPlan(req.user.email);
+    res.json({ plan: plan.name, usage: await usageSummary(req.user.email, plan) });
+  } catch (error) {
+    logger.error(`Error fetching usage for ${req.user.email}: ${error.message}`);
+    res.status(500).json({ error: 'Failed to fetch usage' });
+  }
+});
+
+// --- Subscriptions ---
+// A finished payment buys one billing period of its plan. The user's current subscription is kept in
+// `subscriptions`, and every applied payment is recorded in subscription_payments so it counts only once.
+// Paying for the same plan while the subscription is active or in grace extends it from the end of the
+// current period; any other payment starts a new period on the payment date. When a period ends the plan is
+// kept for a grace period, after which the user is moved to the default plan. Files are never deleted on a
+// downgrade: users left over quota become read-only (see isReadOnly) until they delete files or pay again.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SUBSCRIPTION_PERIOD_DAYS = parseInt(process.env.SUBSCRIPTION_PERIOD_DAYS, 10) || 30;
+const SUBSCRIPTION_GRACE_DAYS = Number.isNaN(parseInt(process.env.SUBSCRIPTION_GRACE_DAYS, 10))
+  ? 3
+  : parseInt(process.env.SUBSCRIPTION_GRACE_DAYS, 10);
+const SUBSCRIPTION_CHECK_INTERVAL_MS = 15 * 60 * 1000;
+
+function subscriptionGraceEnd(subscription) {
+  return new Date(new Date(subscription.current_period_end).getTime() + SUBSCRIPTION_GRACE_DAYS * DAY_MS);
+}
+
+function subscriptionStatusAt(subscription, now = new Date()) {
+  if (now < new Date(subscription.current_period_end)) {
+    return 'active';
+  }
+  return now < subscriptionGraceEnd(subscription) ? 'grace' : 'expired';
+}
+
+function formatSubscription(subscription) {
+  if (!subscription) {
+    return null;
+  }
+  return {
+    plan: subscription.plan,
+    status: subscription.status,
+    startedAt: subscription.started_at,
+    currentPeriodStart: subscription.current_period_start,
+    currentPeriodEnd: subscription.current_period_end,
+    renewsAt: subscription.current_period_end, // Next payment due to keep the plan
+    expiresAt: subscriptionGraceEnd(subscription) // The user drops to the default plan after this
+  };
+}
+
+// Finished payments that haven't been applied to a subscription yet, oldest first
+// (the payments table belongs to the payment integration and may not exist)
+async function findUnappliedPayments(userEmail = null) {
+  try {
+    const [payments] = await pool.execute(
+      `SELECT p.* FROM payments p
+       LEFT JOIN subscription_payments sp ON sp.payment_reference = p.reference_id
+       WHERE p.payment_status = 'finished' AND sp.payment_reference IS NULL
+       ${userEmail ? 'AND p.email = ?' : ''}
+       ORDER BY p.created_at ASC`,
+      userEmail ? [userEmail] : []
+    );
+    return payments;
+  } catch (error) {
+    if (error.code === 'ER_NO_SUCH_TABLE') {
+      return [];
+    }
+    throw error;
+  }
+}
+
+// Apply one finished payment to its user's subscription and plan; returns false if it was already applied
+async function applySubscriptionPayment(payment) {
+  const plan = await resolvePlan(payment.plan);
+  const { defaultPlan } = await getPlanCatalog();
+  const paidAt = new Date(payment.created_at);
+
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+
+    const [claimed] = await connection.execute(
+      'INSERT IGNORE INTO subscription_payments (payment_reference, user_email, plan) VALUES (?, ?, ?)',
+      [payment.reference_id, payment.email, plan.name]
+    );
+    if (claimed.affectedRows === 0) {
+      await connection.rollback();
+      return false;
+    }
+
+    const [rows] = await connection.execute('SELECT * FROM subscriptions WHERE user_email = ? FOR UPDATE', [payment.email]);
+    const current = rows[0];
+    const renewsCurrent = current && current.plan === plan.name && subscriptionStatusAt(current, paidAt) !== 'expired';
+    const periodStart = renewsCurrent ? new Date(current.current_period_end) : paidAt;
+    const periodEnd = new Date(periodStart.getTime() + SUBSCRIPTION_PERIOD_DAYS * DAY_MS);
+
+    await connection.execute(
+      'UPDATE subscription_payments SET period_start = ?, period_end = ? WHERE payment_reference = ?',
+      [periodStart, periodEnd, payment.reference_id]
+    );
+
+    // A payment that finished late must not cut short a period that already runs past it
+    if (current && !renewsCurrent && periodEnd <= new Date(current.current_period_end)) {
+      await connection.commit();
+      return true;
+    }
+
+    const subscription = {
+      plan: plan.name,
+      started_at: renewsCurrent ? current.started_at : periodStart,
+      current_period_start: periodStart,
+      current_period_end: periodEnd
+    };
+    subscription.status = subscriptionStatusAt(subscription);
+
+    await connection.execute(
+      `INSERT INTO subscriptions (user_email, plan, status, started_at, current_period_start, current_period_end, last_payment_reference)
+       VALUES (?, ?, ?, ?, ?, ?, ?)
+       ON DUPLICATE KEY UPDATE plan = VALUES(plan), status = VALUES(status), started_at = VALUES(started_at),
+         current_period_start = VALUES(current_period_start), current_period_end = VALUES(current_period_end),
+         last_payment_reference = VALUES(last_payment_reference)`,
+      [payment.email, subscription.plan, subscription.status, subscription.started_at, periodStart, periodEnd, payment.reference_id]
+    );
+
+    const userPlan = subscription.status === 'expired' ? defaultPlan : plan;
+    await connection.execute(
+      'UPDATE users SET plan = ?, storage_limit = COALESCE(storage_limit_override, ?) WHERE email = ?',
+      [userPlan.name, userPlan.storageLimit, payment.email]
+    );
+
+    await connection.commit();
+    logger.info(`Applied payment ${payment.reference_id} for ${payment.email}: ${plan.name} until ${periodEnd.toISOString()} (${subscription.status})`);
+    return true;
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+}
+
+// Move a subscription to the status its dates call for; on expiry the user drops to the default plan.
+// Returns the subscription row, or null for users who never subscribed.
+async function refreshSubscription(userEmail) {
+  const { defaultPlan } = await getPlanCatalog();
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+
+    const [rows] = await connection.execute('SELECT * FROM subscriptions WHERE user_email = ? FOR UPDATE', [userEmail]);
+    const subscription = rows[0];
+    if (!subscription) {
+      await connection.rollback();
+      return null;
+    }
+
+    const status = subscriptionStatusAt(subscription);
+    if (status !== subscription.status) {
+      await connection.execute('UPDATE subscriptions SET status = ? WHERE user_email = ?', [status, userEmail]);
+      if (status === 'expired') {
+        await connection.execute(
+          'UPDATE users SET plan = ?, storage_limit = COALESCE(storage_limit_override, ?) WHERE email = ?',
+          [defaultPlan.name, defaultPlan.storageLimit, userEmail]
+        );
+        logger.info(`Subscription for ${userEmail} expired; moved from ${subscription.plan} to the ${defaultPlan.name} plan`);
+      }
+      subscription.status = status;
+    }
+
+    await connection.commit();
+    return subscription;
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+}
+
+// Apply any new finished payments for the user, then bring their subscription up to date
+async function checkAndUpdateUserPlan(userEmail) {
+  const payments = await findUnappliedPayments(userEmail);
+  for (const payment of payments) {
+    await applySubscriptionPayment(payment);
+  }
+  return refreshSubscription(userEmail);
+}
+
+// Scheduled: apply payments nobody has checked yet, then move lapsed subscriptions into grace or expiry
+async function runSubscriptionLifecycle() {
+  const payments = await findUnappliedPayments();
+  for (const payment of payments) {
+    await applySubscriptionPayment(payment);
+  }
+
+  const [due] = await pool.execute(
+    "SELECT user_email FROM subscriptions WHERE status <> 'expired' AND current_period_end <= ?",
+    [new Date()]
+  );
+  for (const { user_email: userEmail } of due) {
+    await refreshSubscription(userEmail);
+  }
+
+  if (payments.length > 0 || due.length > 0) {
+    logger.info(`Subscription lifecycle: applied ${payments.length} payment(s), checked ${due.length} lapsed subscription(s)`);
+  }
+}
+
+// API endpoint to check user status (plan, storage limit and subscription dates)
+app.post('/check-user-status', authenticateRequest, requireUser, async (req, res) => {
+  const userEmail = req.user.email;
+
+  try {
+    const subscription = await checkAndUpdateUserPlan(userEmail);
+
+    const account = await getUserAccount(userEmail);
+    if (!account) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.json({
+      plan: account.plan.name,
+      storageLimit: account.plan.storageLimit,
+      storageUsed: Number(account.user.storage_used),
+      readOnly: isReadOnly(account),
+      suspended: Boolean(account.user.suspended_at),
+      maxFileSize: account.plan.maxFileSize,
+      canDownload: account.plan.canDownload,
+      allowedFormats: account.plan.allowedFormats,
+      subscription: formatSubscription(subscription)
+    });
+  } catch (error) {
+    logger.error(`Error checking user status: ${error.message}`, { stack: error.stack });
+    res.status(500).json({ error: 'Failed to check user status' });
+  }
+});
+
+// API endpoint to get user plan by email (callers can only look up their own plan)
+app.get('/api/user-plan/:email', authenticateRequest, requireUser, async (req, res) => {
+  const userEmail = req.params.email;
+
+  if (userEmail !== req.user.email) {
+    return res.status(403).json({ error: 'You can only view your own plan' });
+  }
+
+  try {
+    const account = await getUserAccount(userEmail);
+
+    if (!account) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.json({
+      plan: account.plan.name
+    });
+
+  } catch (error) {
+    logger.error(`Error fetching user plan: ${error.message}`, { stack: error.stack });
+    res.status(500).json({ error: 'Failed to fetch user plan' });
+  }
+});
+
+// API endpoint to create or update file metadata
+app.post('/create-metadata', authenticateRequest, requireUser, async (req, res) => {
+  const { fileName, fileSize, token } = req.body; // updateExisting is accepted for compatibility, metadata is always upserted
+  const userEmail = req.user.email;
+
+  try {
+    const fileInfo = token ? await findOwnedFile(token, userEmail) : null;
+    if (!fileInfo) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    await pool.execute(
+      `INSERT INTO file_meta (token, size, file_name, user_email) VALUES (?, ?, ?, ?)
+       ON DUPLICATE KEY UPDATE file_name = COALESCE(VALUES(file_name), file_name), size = VALUES(size), updated_at = NOW()`,
+      [token, fileSize || fileInfo.file_size || 0, fileName || null, userEmail]
+    );
+    res.json({ message: 'Metadata file created/updated successfully' });
+  } catch (err) {
+    logger.error(`Error writing metadata: ${err.message}`, { stack: err.stack });
+    res.status(500).json({ error: 'Failed to create/update metadata file' });
+  }
+});
+
+const FILE_SORT_COLUMNS = { // Sort keys accepted by /files and the expressions behind them
+  name: "COALESCE(fm.file_name, '')", // Never NULL, or the keyset comparisons would skip those rows
+  size: 'fm.size',
+  uploadDate: 'fm.created_at',
+  views: 'COALESCE(fm.views, 0)'
+};
+const MAX_FILES_PAGE_SIZE = 200;
+
+// Cursors are opaque to clients: the sort value and id of the last row of the previous page
+function encodeFilesCursor(row, sort) {
+  const value = row.sort_value;
+  return Buffer.from(JSON.stringify({
+    sort,
+    value: value instanceof Date ? value.toISOString() : value,
+    id: row.id
+  })).toString('base64url');
+}
+
+function decodeFilesCursor(cursor, sort) {
+  try {
+    const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (decoded.sort !== sort || !Number.isInteger(decoded.id)) {
+      return null; // Cursor belongs to a different sort order
+    }
+    return { value: sort === 'uploadDate' ? new Date(decoded.value) : decoded.value, id: decoded.id };
+  } catch (error) {
+    return null;
+  }
+}
+
+function formatFileRow(row) {
+  return {
+    fileName: row.file_name,
+    userEmail: row.user_email,
+    fileSize: row.size,
+    token: row.token,
+    privacy: row.privacy,
+    views: row.views || 0,
+    folderId: row.folder_id,
+    container: row.container,
+    tags: row.tags || [],
+    encoding: formatEncoding(row),
+    uploadDate: row.created_at,
+    updateDate: row.updated_at || row.created_at
+  };
+}
+
+const ENCODING_COLUMNS = 'fm.encoding_status, fm.encoding_progress, fm.duration_seconds, fm.width, fm.height, fm.renditions, fm.encoding_error, fm.encoding_updated_at';
+
+// API endpoint to get list of files for a user
+// Query: limit, cursor (nextCursor of the previous page), sort (name|size|uploadDate|views), order (asc|desc), privacy,
+// folder (a folder id, or "root" for files outside any folder; all files when omitted)
+app.get('/files', authenticateRequest, requireUser, async (req, res) => {
+  const userEmail = req.user.email;
+  const sort = req.query.sort || 'uploadDate';
+  const order = (req.query.order || (sort === 'name' ? 'asc' : 'desc')).toLowerCase();
+  const limit = Math.max(1, Math.min(parseInt(req.query.limit, 10) || 50, MAX_FILES_PAGE_SIZE));
+  const { privacy } = req.query;
+  const folderId = parseFolderId(req.query.folder);
+
+  if (!FILE_SORT_COLUMNS[sort]) {
+    return res.status(400).json({ error: `sort must be one of: ${Object.keys(FILE_SORT_COLUMNS).join(', ')}` });
+  }
+  if (!['asc', 'desc'].includes(order)) {
+    return res.status(400).json({ error: 'order must be "asc" or "desc"' });
+  }
+  if (privacy && !['public', 'private'].includes(privacy)) {
+    return res.status(400).json({ error: 'privacy must be "public" or "private"' });
+  }
+  if (Number.isNaN(folderId)) {
+    return res.status(400).json({ error: 'folder must be a folder id or "root"' });
+  }
+
+  const column = FILE_SORT_COLUMNS[sort];
+  const direction = order === 'asc' ? 'ASC' : 'DESC';
+  const comparison = order === 'asc' ? '>' : '<';
+  const conditions = ['fm.user_email = ?', 'ft.deleted_at IS NULL'];
+  const params = [userEmail];
+
+  if (privacy) {
+    conditions.push('fm.privacy = ?');
+    params.push(privacy);
+  }
+  if (folderId !== undefined) {
+    conditions.push('fm.folder_id <=> ?');
+    params.push(folderId);
+  }
+  if (req.query.cursor) {
+    const cursor = decodeFilesCursor(req.query.cursor, sort);
+    if (!cursor) {
+      return res.status(400).json({ error: 'Invalid cursor' });
+    }
+    // Keyset pagination, the id breaks ties between rows with the same sort value
+    conditions.push(`(${column} ${comparison} ? OR (${column} = ? AND fm.id ${comparison} ?))`);
+    params.push(cursor.value, cursor.value, cursor.id);
+  }
+
+  try {
+    let breadcrumbs = [];
+    if (folderId) {
+      breadcrumbs = await getFolderPath(folderId, userEmail);
+      if (breadcrumbs.length === 0) {
+        return res.status(404).json({ error: 'Folder not found' });
+      }
+    }
+
+    const [rows] = await pool.query(
+      `SELECT fm.id, fm.token, fm.file_name, fm.user_email, fm.size, fm.privacy, fm.views, fm.folder_id, fm.container, fm.created_at, fm.updated_at,
+              ${ENCODING_COLUMNS}, ${column} AS sort_value
+       FROM file_meta fm
+       JOIN file_tokens ft ON ft.token = fm.token
+       WHERE ${conditions.join(' AND ')}
+       ORDER BY ${column} ${direction}, fm.id ${direction}
+       LIMIT ?`,
+      [...params, limit + 1]
+    );
+
+    const page = rows.slice(0, limit);
+    if (page.length > 0) {
+      const [tagRows] = await pool.query('SELECT token, tag FROM file_tags WHERE token IN (?) ORDER BY tag', [page.map(row => row.token)]);
+      for (const row of page) {
+        row.tags = tagRows.filter(tagRow => tagRow.token === row.token).map(tagRow => tagRow.tag);
+      }
+    }
+    res.json({
+      files: page.map(formatFileRow),
+      nextCursor: rows.length > limit ? encodeFilesCursor(page[page.length - 1], sort) : null,
+      breadcrumbs: breadcrumbs.map(folder => ({ id: folder.id, name: folder.name })) // Top level first, ending with the folder itself
+    });
+  } catch (error) {
+    logger.error(`Error listing files: ${error.message}`, { stack: error.stack });
+    res.status(500).json({ error: 'Failed to list files' });
+  }
+});
+
+// One-time import of the per-user <fileName>.json metadata files that used to back /files.
+// Imported files are renamed to .json.imported, so running it again only picks up what's left.
+async function importLegacyMetadata() {
+  const report = { imported: 0, skipped: 0, failed: 0 };
+  if (!fs.existsSync(videosDir)) {
+    return report;
+  }
+
+  for (const userDirName of await fs.promises.readdir(videosDir)) {
+    const userDir = path.join(videosDir, userDirName);
+    if (!(await fs.promises.stat(userDir)).isDirectory()) {
+      continue;
+    }
+
+    for (const file of (await fs.promises.readdir(userDir)).filter(name => name.endsWith('.json'))) {
+      const metadataPath = path.join(userDir, file);
+      try {
+        const metadata = JSON.parse(await fs.promises.readFile(metadataPath, 'utf8'));
+        const [tokenRows] = await pool.execute(
+          'SELECT file_size FROM file_tokens WHERE token = ? AND user_email = ?',
+          [metadata.token || '', userDirName]
+        );
+        if (tokenRows.length === 0) {
+          report.skipped++; // The file was deleted, or the JSON belongs to nobody
+          await fs.promises.rename(metadataPath, `${metadataPath}.imported`);
+          continue;
+        }
+
+        await pool.execute(
+          `INSERT INTO file_meta (token, size, file_name, user_email, created_at, updated_at) VALUES (?, ?, ?, ?, ?, ?)
+           ON DUPLICATE KEY UPDATE file_name = VALUES(file_name), user_email = VALUES(user_email),
+             created_at = VALUES(created_at), updated_at = VALUES(updated_at)`,
+          [
+            metadata.token,
+            metadata.fileSize || tokenRows[0].file_size || 0,
+            metadata.fileName || path.basename(file, '.json'),
+            userDirName,
+            metadata.uploadDate ? new Date(metadata.uploadDate) : new Date(),
+            metadata.updateDate ? new Date(metadata.updateDate) : null
+          ]
+        );
+        await fs.promises.rename(metadataPath, `${metadataPath}.imported`);
+        report.imported++;
+      } catch (error) {
+        report.failed++;
+        logger.error(`Failed to import legacy metadata ${metadataPath}: ${error.message}`);
+      }
+    }
+  }
+
+  if (report.imported || report.skipped || report.failed) {
+    logger.info(`Legacy metadata import: ${report.imported} imported, ${report.skipped} skipped, ${report.failed} failed`);
+  }
+  return report;
+}
+
+// --- Folders ---
+// Folders are rows in `folders`, owned by one user and nested through parent_id (NULL for top-level folders).
+// They only organise file_meta rows (file_meta.folder_id); the files themselves don't move in storage.
+
+const MAX_FOLDER_DEPTH = 32;
+const MAX_FOLDER_NAME_LENGTH = 255;
+
+function formatFolder(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    parentId: row.parent_id,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+function validateFolderName(name) {
+  if (typeof name !== 'string' || !name.trim()) {
+    return 'Folder name is required';
+  }
+  if (name.trim().length > MAX_FOLDER_NAME_LENGTH || name.includes('/')) {
+    return `Folder names can't contain "/" or be longer than ${MAX_FOLDER_NAME_LENGTH} characters`;
+  }
+  return null;
+}
+
+// Parse a folder id from a request: null/"root" means the top level, undefined means "not given"
+function parseFolderId(value) {
+  if (value === undefined) {
+    return undefined;
+  }
+  if (value === null || value === 'root' || value === '') {
+    return null;
+  }
+  const id = Number(value);
+  return Number.isInteger(id) && id > 0 ? id : NaN;
+}
+
+async function findOwnedFolder(id, userEmail) {
+  const [rows] = await pool.execute('SELECT * FROM folders WHERE id = ? AND user_email = ?', [id, userEmail]);
+  return rows[0] || null;
+}
+
+async function findSiblingFolder(userEmail, parentId, name) {
+  const [rows] = await pool.execute(
+    'SELECT * FROM folders WHERE user_email = ? AND parent_id <=> ? AND name = ?',
+    [userEmail, parentId, name]
+  );
+  return rows[0] || null;
+}
+
+// The folders from the top level down to `folderId`, e.g. for breadcrumbs
+async function getFolderPath(folderId, userEmail) {
+  const folders = [];
+  let id = folderId;
+  while (id !== null && folders.length < MAX_FOLDER_DEPTH) {
+    const folder = await findOwnedFolder(id, userEmail);
+    if (!folder) {
+      break;
+    }
+    folders.unshift(folder);
+    id = folder.parent_id;
+  }
+  return folders;
+}
+
+// Ids of a folder and every folder below it
+async function getFolderTreeIds(folderId, userEmail) {
+  const ids = [folderId];
+  let level = [folderId];
+  while (level.length > 0) {
+    const [rows] = await pool.query('SELECT id FROM folders WHERE user_email = ? AND parent_id IN (?)', [userEmail, level]);
+    level = rows.map(row => row.id);
+    ids.push(...level);
+  }
+  return ids;
+}
+
+// Create a folder, or return the existing one with the same name in the same parent
+async function createFolder(userEmail, parentId, name) {
+  const existing = await findSiblingFolder(userEmail, parentId, name);
+  if (existing) {
+    return { folder: existing, created: false };
+  }
+  const [result] = await pool.execute(
+    'INSERT INTO folders (user_email, parent_id, name) VALUES (?, ?, ?)',
+    [userEmail, parentId, name]
+  );
+  return { folder: await findOwnedFolder(result.insertId, userEmail), created: true };
+}
+
+// Resolve a parent folder id from a request body; returns { error } if it isn't one of the caller's folders
+async function resolveParentFolder(value, userEmail) {
+  const parentId = parseFolderId(value);
+  if (Number.isNaN(parentId)) {
+    return { error: 'Invalid folder id' };
+  }
+  if (parentId && !(await findOwnedFolder(parentId, userEmail))) {
+    return { error: 'Parent folder not found', status: 404 };
+  }
+  if (parentId && (await getFolderPath(parentId, userEmail)).length >= MAX_FOLDER_DEPTH) {
+    return { error: `Folders can be nested at most ${MAX_FOLDER_DEPTH} levels deep` };
+  }
+  return { parentId: parentId === undefined ? null : parentId };
+}
+
+// API endpoint to list the caller's folders in one parent folder (top level by default)
+app.get('/api/folders', authenticateRequest, requireUser, async (req, res) => {
+  const parentId = parseFolderId(req.query.parentId);
+  if (Number.isNaN(parentId)) {
+    return res.status(400).json({ error: 'Invalid folder id' });
+  }
+
+  try {
+    const [rows] = await pool.execute(
+      'SELECT * FROM folders WHERE user_email = ? AND parent_id <=> ? ORDER BY name',
+      [req.user.email, parentId === undefined ? null : parentId]
+    );
+    res.json({ folders: rows.map(formatFolder) });
+  } catch (error) {
+    logger.error(`Failed to list folders: ${error.message}`);
+    res.status(500).json({ error: 'Failed to list folders' });
+  }
+});
+
+// API endpoint to create a folder
+app.post('/api/folders', authenticateRequest, requireUser, async (req, res) => {
+  const { name, parentId: parentValue } = req.body;
+  const nameError = validateFolderName(name);
+  if (nameError) {
+    return res.status(400).json({ error: nameError });
+  }
+
+  try {
+    const parent = await resolveParentFolder(parentValue, req.user.email);
+    if (parent.error) {
+      return res.status(parent.status || 400).json({ error: parent.error });
+    }
+    if (await findSiblingFolder(req.user.email, parent.parentId, name.trim())) {
+      return res.status(409).json({ error: 'A folder with this name already exists here' });
+    }
+
+    const { folder } = await createFolder(req.user.email, parent.parentId, name.trim());
+    res.status(201).json(formatFolder(folder));
+  } catch (error) {
+    logger.error(`Failed to create folder: ${error.message}`);
+    res.status(500).json({ error: 'Failed to create folder' });
+  }
+});
+
+// API endpoint to rename a folder and/or move it into another folder (parentId null for the top level)
+app.patch('/api/folders/:id', authenticateRequest, requireUser, async (req, res) => {
+  const userEmail = req.user.email;
+  const { name } = req.body;
+
+  try {
+    const folder = await findOwnedFolder(req.params.id, userEmail);
+    if (!folder) {
+      return res.status(404).json({ error: 'Folder not found' });
+    }
+
+    const newName = name === undefined ? folder.name : name;
+    const nameError = validateFolderName(newName);
+    if (nameError) {
+      return res.status(400).json({ error: nameError });
+    }
+
+    let newParentId = folder.parent_id;
+    if (req.body.parentId !== undefined) {
+      const parent = await resolveParentFolder(req.body.parentId, userEmail);
+      if (parent.error) {
+        return res.status(parent.status || 400).json({ error: parent.error });
+      }
+      newParentId = parent.parentId;
+    }
+
+    if (newParentId !== null) {
+      const parentPath = await getFolderPath(newParentId, userEmail);
+      if (parentPath.some(ancestor => ancestor.id === folder.id)) {
+        return res.status(400).json({ error: "A folder can't be moved into itself or one of its subfolders" });
+      }
+    }
+
+    const sibling = await findSiblingFolder(userEmail, newParentId, newName.trim());
+    if (sibling && sibling.id !== folder.id) {
+      return res.status(409).json({ error: 'A folder with this name already exists here' });
+    }
+
+    await pool.execute('UPDATE folders SET name = ?, parent_id = ? WHERE id = ?', [newName.trim(), newParentId, folder.id]);
+    res.json(formatFolder(await findOwnedFolder(folder.id, userEmail)));
+  } catch (error) {
+    logger.error(`Failed to update folder ${req.params.id}: ${error.message}`);
+    res.status(500).json({ error: 'Failed to update folder' });
+  }
+});
+
+// API endpoint to delete a folder. It must be empty unless ?cascade=true, which also deletes every
+// subfolder and moves every file in them to the trash (restored files whose folder is gone go to the top level).
+app.delete('/api/folders/:id', authenticateRequest, requireUser, async (req, res) => {
+  const userEmail = req.user.email;
+  const cascade = req.query.cascade === 'true';
+
+  try {
+    const folder = await findOwnedFolder(req.params.id, userEmail);
+    if (!folder) {
+      return res.status(404).json({ error: 'Folder not found' });
+    }
+
+    const folderIds = await getFolderTreeIds(folder.id, userEmail);
+    const [files] = await pool.query(
+      `SELECT ft.token, ft.file_path, ft.user_email, ft.file_size
+       FROM file_meta fm JOIN file_tokens ft ON ft.token = fm.token
+       WHERE fm.user_email = ? AND fm.folder_id IN (?) AND ft.deleted_at IS NULL`,
+      [userEmail, folderIds]
+    );
+
+    if (!cascade && (files.length > 0 || folderIds.length > 1)) {
+      return res.status(409).json({
+        error: 'Folder is not empty, delete its contents first or pass cascade=true',
+        folders: folderIds.length - 1,
+        files: files.length
+      });
+    }
+
+    const { storageFreed } = files.length > 0 ? await moveFilesToTrash(userEmail, files.map(file => file.token)) : { storageFreed: 0 };
+    await pool.query('DELETE FROM folders WHERE user_email = ? AND id IN (?)', [userEmail, folderIds]);
+
+    logger.info(`Deleted folder ${folder.id} for ${userEmail} with ${folderIds.length - 1} subfolder(s) and ${files.length} file(s)`);
+    res.json({
+      message: 'Folder deleted successfully',
+      deletedFolders: folderIds.length,
+      deletedFiles: files.length,
+      storageFreed
+    });
+  } catch (error) {
+    logger.error(`Failed to delete folder ${req.params.id}: ${error.message}`);
+    res.status(500).json({ error: 'Failed to delete folder' });
+  }
+});
+
+// API endpoint to move a file into a folder (folderId null for the top level)
+app.put('/api/files/:token/folder', authenticateRequest, requireUser, async (req, res) => {
+  const userEmail = req.user.email;
+  const folderId = parseFolderId(req.body.folderId === undefined ? null : req.body.folderId);
+  if (Number.isNaN(folderId)) {
+    return res.status(400).json({ error: 'Invalid folder id' });
+  }
+
+  try {
+    if (!(await findOwnedFile(req.params.token, userEmail))) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+    if (folderId !== null && !(await findOwnedFolder(folderId, userEmail))) {
+      return res.status(404).json({ error: 'Folder not found' });
+    }
+
+    await pool.execute('UPDATE file_meta SET folder_id = ? WHERE token = ?', [folderId, req.params.token]);
+    res.json({ message: 'File moved successfully', token: req.params.token, folderId });
+  } catch (error) {
+    logger.error(`Failed to move file ${req.params.token}: ${error.message}`);
+    res.status(500).json({ error: 'Failed to move file' });
+  }
+});
+
+// --- Background Jobs ---
+// Long-running work is queued in `jobs` and picked up by the runner below; clients poll GET /api/jobs/:id.
+// Jobs are claimed with a conditional UPDATE so several server instances can share the queue. A job that
+// stops making progress for JOB_STALE_MS (its server died) is queued again, so handlers must be safe to re-run.
+
+const JOB_POLL_INTERVAL_MS = 5 * 1000;
+const JOB_STALE_MS = 10 * 60 * 1000;
+const jobHandlers = {}; // Job type -> async (job, reportProgress) => result
+let jobRunnerActive = false;
+
+function formatJob(row) {
+  return {
+    id: row.id,
+    type: row.type,
+    status: row.status,
+    total: row.total,
+    processed: row.processed,
+    result: row.result ? JSON.parse(row.result) : null,
+    error: row.error,
+    createdAt: row.created_at,
+    startedAt: row.started_at,
+    finishedAt: row.finished_at
+  };
+}
+
+async function enqueueJob(type, userEmail, params, total) {
+  const id = uuidv4();
+  await pool.execute(
+    'INSERT INTO jobs (id, type, user_email, params, total) VALUES (?, ?, ?, ?, ?)',
+    [id, type, userEmail, JSON.stringify(params), total]
+  );
+  setImmediate(runQueuedJobs); // Start now rather than on the next poll
+  return id;
+}
+
+async function runJob(job) {
+  const reportProgress = processed => pool.execute('UPDATE jobs SET processed = ? WHERE id = ?', [processed, job.id]);
+  try {
+    const handler = jobHandlers[job.type];
+    if (!handler) {
+      throw new Error(`Unknown job type "${job.type}"`);
+    }
+    const result = await handler({ ...job, params: JSON.parse(job.params) }, reportProgress);
+    await pool.execute(
+      "UPDATE jobs SET status = 'completed', result = ?, finished_at = NOW() WHERE id = ?",
+      [JSON.stringify(result), job.id]
+    );
+    logger.info(`Job ${job.id} (${job.type}) completed`);
+  } catch (error) {
+    await pool.execute("UPDATE jobs SET status = 'failed', error = ?, finished_at = NOW() WHERE id = ?", [error.message, job.id]);
+    logger.error(`Job ${job.id} (${job.type}) failed: ${error.message}`);
+  }
+}
+
+// Run queued jobs one at a time until the queue is empty
+async function runQueuedJobs() {
+  if (jobRunnerActive) {
+    return; // The active loop picks up new jobs too
+  }
+  jobRunnerActive = true;
+  try {
+    await pool.execute(
+      "UPDATE jobs SET status = 'queued' WHERE status = 'running' AND updated_at < ?",
+      [new Date(Date.now() - JOB_STALE_MS)]
+    );
+
+    for (;;) {
+      const [rows] = await pool.execute("SELECT * FROM jobs WHERE status = 'queued' ORDER BY created_at LIMIT 1");
+      if (rows.length === 0) {
+        break;
+      }
+      const [claimed] = await pool.execute(
+        "UPDATE jobs SET status = 'running', started_at = NOW() WHERE id = ? AND status = 'queued'",
+        [rows[0].id]
+      );
+      if (claimed.affectedRows === 1) { // Otherwise another instance claimed it first
+        await runJob(rows[0]);
+      }
+    }
+  } catch (error) {
+    logger.error(`Job runner failed: ${error.message}`);
+  } finally {
+    jobRunnerActive = false;
+  }
+}
+
+// API endpoint to check the progress and result of one of the caller's jobs
+app.get('/api/jobs/:id', authenticateRequest, requireUser, async (req, res) => {
+  try {
+    const [rows] = await pool.execute('SELECT * FROM jobs WHERE id = ? AND user_email = ?', [req.params.id, req.user.email]);
+    if (rows.length === 0) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    res.json(formatJob(rows[0]));
+  } catch (error) {
+    logger.error(`Failed to fetch job ${req.params.id}: ${error.message}`);
+    res.status(500).json({ error: 'Failed to fetch job' });
+  }
+});
+
+// --- Bulk File Operations ---
+// POST /api/files/bulk applies one action to many of the caller's files. Small batches run during the request
+// and larger ones as a 'bulk-files' job. Results are reported per token; deletes move the files to the trash
+// one chunk at a time.
+
+const BULK_ACTIONS = ['delete', 'privacy', 'move', 'tag'];
+const MAX_BULK_TOKENS = 1000;
+const BULK_SYNC_LIMIT = 50; // Larger batches run as background jobs
+const BULK_CHUNK_SIZE = 50; // Files loaded, updated and reported as progress per step
+const BULK_STORAGE_CONCURRENCY = 5; // Delete requests sent to storage at the same time (trash purges)
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 64;
+
+// Call `fn` for every item, with at most `limit` calls in flight
+async function mapWithConcurrency(items, limit, fn) {
+  let next = 0;
+  const workers = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) {
+      await fn(items[next++]);
+    }
+  });
+  await Promise.all(workers);
+}
+
+// Trimmed, lower-cased and de-duplicated tags; returns null if any tag is invalid
+function normalizeTags(tags) {
+  if (!Array.isArray(tags) || tags.length === 0 || tags.length > MAX_TAGS) {
+    return null;
+  }
+  const normalized = [...new Set(tags.map(tag => String(tag).trim().toLowerCase()))];
+  return normalized.every(tag => tag && tag.length <= MAX_TAG_LENGTH) ? normalized : null;
+}
+
+// Validate a bulk request body; returns { error, status } or the operation to run
+async function parseBulkRequest(body, userEmail) {
+  const { action, tokens } = body || {};
+  if (!BULK_ACTIONS.includes(action)) {
+    return { error: `action must be one of: ${BULK_ACTIONS.join(', ')}` };
+  }
+  if (!Array.isArray(tokens) || tokens.length === 0 || !tokens.every(token => typeof token === 'string' && token)) {
+    return { error: 'tokens must be a non-empty list of file tokens' };
+  }
+  const uniqueTokens = [...new Set(tokens)];
+  if (uniqueTokens.length > MAX_BULK_TOKENS) {
+    return { error: `At most ${MAX_BULK_TOKENS} tokens can be processed at once` };
+  }
+
+  const operation = { userEmail, action, tokens: uniqueTokens };
+  if (action === 'privacy') {
+    if (!['public', 'private'].includes(body.privacy)) {
+      return { error: 'privacy must be "public" or "private"' };
+    }
+    operation.privacy = body.privacy;
+  } else if (action === 'move') {
+    const folderId = parseFolderId(body.folderId === undefined ? null : body.folderId);
+    if (Number.isNaN(folderId)) {
+      return { error: 'Invalid folder id' };
+    }
+    if (folderId !== null && !(await findOwnedFolder(folderId, userEmail))) {
+      return { error: 'Folder not found', status: 404 };
+    }
+    operation.folderId = folderId;
+  } else if (action === 'tag') {
+    operation.tags = normalizeTags(body.tags);
+    if (!operation.tags) {
+      return { error: `tags must be a list of 1 to ${MAX_TAGS} tags of at most ${MAX_TAG_LENGTH} characters` };
+    }
+  }
+  return operation;
+}
+
+async function bulkUpdateFiles(operation, tokens) {
+  const { userEmail, action } = operation;
+  if (action === 'privacy') {
+    const [changed] = await pool.query(
+      'SELECT token, file_name, privacy FROM file_meta WHERE user_email = ? AND token IN (?) AND privacy <> ?',
+      [userEmail, tokens, operation.privacy]
+    );
+    await pool.query('UPDATE file_meta SET privacy = ?, updated_at = NOW() WHERE user_email = ? AND token IN (?)', [operation.privacy, userEmail, tokens]);
+    for (const file of changed) {
+      emitWebhookEvent(userEmail, 'file.privacy_changed', { token: file.token, fileName: file.file_name, privacy: operation.privacy, previousPrivacy: file.privacy });
+    }
+  } else if (action === 'move') {
+    await pool.query('UPDATE file_meta SET folder_id = ? WHERE user_email = ? AND token IN (?)', [operation.folderId, userEmail, tokens]);
+  } else if (action === 'tag') {
+    const rows = tokens.flatMap(token => operation.tags.map(tag => [token, tag]));
+    await pool.query('INSERT IGNORE INTO file_tags (token, tag) VALUES ?', [rows]);
+  }
+}
+
+// Apply a parsed bulk operation; tokens that aren't the caller's files are reported as not_found
+async function runBulkFileAction(operation, reportProgress = async () => {}) {
+  const { userEmail, action, tokens } = operation;
+  if (action === 'move' && operation.folderId !== null && !(await findOwnedFolder(operation.folderId, userEmail))) {
+    throw new Error('Folder not found'); // Deleted while the job was queued
+  }
+
+  const results = new Map(tokens.map(token => [token, { token, status: 'not_found' }]));
+  let storageFreed = 0;
+
+  for (let i = 0; i < tokens.length; i += BULK_CHUNK_SIZE) {
+    const chunk = tokens.slice(i, i + BULK_CHUNK_SIZE);
+    const [files] = await pool.query(
+      'SELECT token, file_path, user_email, file_size FROM file_tokens WHERE user_email = ? AND token IN (?) AND deleted_at IS NULL',
+      [userEmail, chunk]
+    );
+
+    if (files.length > 0) {
+      if (action === 'delete') {
+        const trashed = await moveFilesToTrash(userEmail, files.map(file => file.token));
+        storageFreed += trashed.storageFreed;
+        trashed.files.forEach(file => results.set(file.token, { token: file.token, status: 'ok' }));
+      } else {
+        await bulkUpdateFiles(operation, files.map(file => file.token));
+        files.forEach(file => results.set(file.token, { token: file.token, status: 'ok' }));
+      }
+    }
+    await reportProgress(Math.min(i + BULK_CHUNK_SIZE, tokens.length));
+  }
+
+  const resultList = [...results.values()];
+  const count = status => resultList.filter(result => result.status === status).length;
+  logger.info(`Bulk ${action} for ${userEmail}: ${count('ok')} of ${tokens.length} file(s) succeeded`);
+  return {
+    action,
+    summary: { total: tokens.length, succeeded: count('ok'), failed: count('failed'), notFound: count('not_found') },
+    storageFreed,
+    results: resultList
+  };
+}
+
+jobHandlers['bulk-files'] = (job, reportProgress) => runBulkFileAction(job.params, reportProgress);
+
+// API endpoint to delete, change privacy of, move or tag many files at once
+app.post('/api/files/bulk', authenticateRequest, requireUser, async (req, res) => {
+  try {
+    const operation = await parseBulkRequest(req.body, req.user.email);
+    if (operation.error) {
+      return res.status(operation.status || 400).json({ error: operation.error });
+    }
+
+    if (operation.tokens.length > BULK_SYNC_LIMIT) {
+      const jobId = await enqueueJob('bulk-files', req.user.email, operation, operation.tokens.length);
+      res.set('Location', `/api/jobs/${jobId}`);
+      return res.status(202).json({ jobId, status: 'queued', total: operation.tokens.length });
+    }
+
+    res.json(await runBulkFileAction(operation));
+  } catch (error) {
+    logger.error(`Bulk file operation failed: ${error.message}`);
+    res.status(500).json({ error: 'Bulk operation failed', details: error.message });
+  }
+});
+
+// Shared upload pipeline used by /upload and by resumable upload finalization.
+// Checks the plan's limits, forwards the file at `localPath` to the storage server and records its token.
+// A file whose content the user already has isn't sent to storage again, the existing file is returned
+// before the quota and allowance checks, since it costs neither.
+// Returns { status, body } for the caller to send; the caller owns cleanup of `localPath`.
+async function processUpload({ userEmail, privacy, localPath, fileName, size, contentHash }) {
+  const account = await getUserAccount(userEmail);
+  if (!account) {
+    return { status: 404, body: { error: 'User not found' } };
+  }
+  if (account.user.suspended_at) {
+    return suspendedRejection();
+  }
+
+  const userPlan = account.plan.name;
+  const hash = contentHash || await hashFile(localPath); // Staged uploads are hashed while they come in
+  const duplicate = await findDuplicateFile(userEmail, hash);
+  if (duplicate) {
+    return duplicateUploadResult(pool, { userEmail, userPlan, file: duplicate, contentHash: hash });
+  }
+
+  const rejection = checkUploadAgainstPlan(account, { fileName, size }) // Size, quota and format limits of the plan
+    || (await checkUploadAllowance(userEmail, account.plan, size)).rejection; // Daily upload allowance
+  if (rejection) {
+    return rejection;
+  }
+
+  let container;
+  try {
+    container = verifyFileContent(await readFileHead(localPath), fileName); // Callers sniff early too, this is the final word
+  } catch (error) {
+    if (error.status !== 415) {
+      throw error;
+    }
+    return { status: 415, body: { error: error.message, ...error.details } };
+  }
+
+  const storedName = await availableFileName(userEmail, fileName);
+  const { token: storageToken } = await storage.receiveFile({ localPath, fileName: storedName, userEmail, privacy, size }); // Send file to storage
+  return recordUpload({ userEmail, privacy, fileName: storedName, size, container, storageToken, userPlan, contentHash: hash });
+}
+
+// `fileName`, or "name (2).ext", "name (3).ext" and so on if the user already has a file of that name. Storage
+// keeps a user's files by name, so an upload must never reuse the name of another file (trashed ones included).
+async function availableFileName(userEmail, fileName) {
+  const extension = path.extname(fileName);
+  const base = path.basename(fileName, extension);
+  const pattern = `${base.replace(/[\\%_]/g, '\\$&')}%`; // Every name starting with `base`
+  const [rows] = await pool.execute(
+    `SELECT ft.file_path, fm.file_name FROM file_tokens ft LEFT JOIN file_meta fm ON fm.token = ft.token
+     WHERE ft.user_email = ? AND (ft.file_path LIKE ? OR fm.file_name LIKE ?)`,
+    [userEmail, `${path.join(videosDir, userEmail)}${path.sep}${pattern}`, pattern]
+  );
+  const taken = new Set();
+  for (const row of rows) {
+    taken.add(path.basename(row.file_path));
+    if (row.file_name) { // Renamed files are stored as the new name plus the original extension
+      taken.add(row.file_name);
+      taken.add(row.file_name + path.extname(row.file_path));
+    }
+  }
+
+  let candidate = fileName;
+  for (let copy = 2; taken.has(candidate); copy++) {
+    candidate = `${base} (${copy})${extension}`;
+  }
+  return candidate;
+}
+
+// The user's file (not in the trash) with this content, or null
+async function findDuplicateFile(userEmail, contentHash) {
+  const [rows] = await pool.execute(
+    'SELECT token, file_size FROM file_tokens WHERE user_email = ? AND live_content_hash = ?',
+    [userEmail, contentHash]
+  );
+  return rows[0] || null;
+}
+
+// The upload result for content the user already has: the existing file, with nothing stored or charged
+async function duplicateUploadResult(db, { userEmail, userPlan, file, contentHash }) {
+  const [usageRows] = await db.execute('SELECT storage_used, storage_limit FROM users WHERE email = ?', [userEmail]);
+  const [metadata] = await db.execute('SELECT file_name, privacy, views, container FROM file_meta WHERE token = ?', [file.token]);
+  const { storage_used: storageUsed, storage_limit: storageLimit } = usageRows[0];
+  const meta = metadata[0] || {};
+  return {
+    status: 200,
+    body: {
+      message: 'File already uploaded, the existing file was returned',
+      duplicate: true,
+      filename: meta.file_name,
+      userEmail: userEmail,
+      storageUsed: storageUsed,
+      storageLimit: storageLimit,
+      remainingStorage: storageLimit - storageUsed,
+      userPlan: userPlan,
+      token: file.token,
+      privacy: meta.privacy,
+      views: meta.views || 0,
+      size: Number(file.file_size),
+      container: meta.container,
+      contentHash: contentHash
+    }
+  };
+}
+
+// Record a file that has reached storage (staged or streamed) in one transaction; if anything fails the stored
+// copy is removed again. If the same content was recorded for the user in the meantime (a concurrent or
+// streamed upload), the new copy is removed and the existing file returned. Two uploads of the same content
+// racing each other are settled by the unique index on (user_email, live_content_hash): the one that loses
+// gets a duplicate key error or a deadlock, and returns the winner's file once it is committed. Returns
+// { status, body } like processUpload.
+async function recordUpload({ userEmail, privacy, fileName, size, container, storageToken, userPlan, contentHash }) {
+  if (!storageToken) {
+    return { status: 502, body: { error: 'Storage server did not return a file token' } };
+  }
+
+  const filePath = path.join(videosDir, userEmail, fileName); // Logical path recorded in file_tokens
+  let connection;
+  try {
+    connection = await pool.getConnection();
+    await connection.beginTransaction();
+
+    if (contentHash) {
+      const [duplicates] = await connection.execute(
+        'SELECT token, file_size FROM file_tokens WHERE user_email = ? AND live_content_hash = ? FOR UPDATE',
+        [userEmail, contentHash]
+      );
+      if (duplicates.length > 0) {
+        const result = await duplicateUploadResult(connection, { userEmail, userPlan, file: duplicates[0], contentHash });
+        await connection.commit();
+        await removeStoredFile(storageToken, userEmail);
+        return result;
+      }
+    }
+
+    const token = storageToken;
+    await connection.execute(
+      'INSERT INTO file_tokens (token, file_path, user_email, file_size, content_hash) VALUES (?, ?, ?, ?, ?)',
+      [token, filePath, userEmail, size, contentHash || null]
+    );
+    await connection.execute(
+      "INSERT INTO file_meta (token, privacy, size, file_name, user_email, container, encoding_status) VALUES (?, ?, ?, ?, ?, ?, 'queued')",
+      [token, privacy, size, fileName, userEmail, container]
+    );
+
+    // Increment in SQL so concurrent uploads can't overwrite each other, and only while it still fits the limit
+    const [usageResult] = await connection.execute(
+      'UPDATE users SET storage_used = storage_used + ? WHERE email = ? AND storage_used + ? <= storage_limit',
+      [size, userEmail, size]
+    );
+    if (usageResult.affectedRows === 0) {
+      await connection.rollback();
+      await removeStoredFile(storageToken, userEmail);
+      return {
+        status: 400,
+        body: {
+          error: 'File size exceeds remaining storage capacity',
+          fileSize: size
+        },
+        quotaExceeded: true
+      };
+    }
+
+    const [usageRows] = await connection.execute(
+      'SELECT storage_used, storage_limit FROM users WHERE email = ?',
+      [userEmail]
+    );
+    const [metadata] = await connection.execute(
+      'SELECT privacy, views FROM file_meta WHERE token = ?',
+      [token]
+    );
+
+    await connection.commit();
+    await recordUploadUsage(userEmail, size)
+      .catch(error => logger.error(`Failed to count upload for ${userEmail}: ${error.message}`)); // The upload itself is done
+
+    const { storage_used: updatedUsage, storage_limit: updatedLimit } = usageRows[0];
+    return {
+      status: 200,
+      body: { // Respond with success message and file information
+        message: 'File uploaded successfully and encoding started',
+        filename: fileName,
+        userEmail: userEmail,
+        storageUsed: updatedUsage,
+        storageLimit: updatedLimit,
+        remainingStorage: updatedLimit - updatedUsage,
+        userPlan: userPlan,
+        token: token,
+        privacy: metadata[0].privacy,
+        views: metadata[0].views || 0,
+        size: size,
+        container: container,
+        contentHash: contentHash || null
+      }
+    };
+  } catch (error) {
+    if (connection) {
+      await connection.rollback().catch(rollbackError => logger.error(`Rollback failed: ${rollbackError.message}`));
+    }
+    if (contentHash && connection && ['ER_DUP_ENTRY', 'ER_LOCK_DEADLOCK'].includes(error.code)) {
+      // Lost the race to a concurrent upload of the same content. The locking read waits until that one committed.
+      const [duplicates] = await connection.execute(
+        'SELECT token, file_size FROM file_tokens WHERE user_email = ? AND live_content_hash = ? FOR UPDATE',
+        [userEmail, contentHash]
+      ).catch(() => [[]]);
+      if (duplicates.length > 0) {
+        await removeStoredFile(storageToken, userEmail);
+        return duplicateUploadResult(connection, { userEmail, userPlan, file: duplicates[0], contentHash });
+      }
+    }
+    await removeStoredFile(storageToken, userEmail);
+    throw error;
+  } finally {
+    if (connection) {
+      connection.release();
+    }
+  }
+}
+
+// Compensate a failed upload by deleting the copy that already reached storage
+async function removeStoredFile(token, userEmail) {
+  try {
+    await storage.deleteFile({ token, userEmail });
+    logger.warn(`Removed stored file ${token} for ${userEmail} after a failed upload`);
+  } catch (error) {
+    logger.error(`Failed to remove stored file ${token} for ${userEmail}, it is now orphaned: ${error.message}`);
+  }
+}
+
+// Delete a local file if it is still on disk
+function removeLocalFile(filePath) {
+  if (filePath && fs.existsSync(filePath)) {
+    fs.unlinkSync(filePath);
+  }
+}
+
+// Reject an upload from its declared size before reading the body, and cap what multer will accept at the
+// plan's maximum file size and the remaining quota. The size is only checked up front when the client declares
+// it with X-File-Size: Content-Length also counts the multipart framing and other fields, and would refuse files
+// just under a limit. Multer enforces the exact limit either way. X-File-Name lets the format be checked too,
+// and X-Content-SHA256 lets a duplicate be answered right away.
+async function checkDeclaredUpload(req, res, next) {
+  try {
+    const account = await getUserAccount(req.user.email);
+    if (!account) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    // With X-Content-SHA256, content the user already has is answered before any of it is sent (or counted)
+    const declaredHash = (req.get('X-Content-SHA256') || '').toLowerCase();
+    if (/^[0-9a-f]{64}$/.test(declaredHash) && !account.user.suspended_at) {
+      const duplicate = await findDuplicateFile(req.user.email, declaredHash);
+      if (duplicate) {
+        const result = await duplicateUploadResult(pool, { userEmail: req.user.email, userPlan: account.plan.name, file: duplicate, contentHash: declaredHash });
+        res.set('Connection', 'close'); // Don't wait for a body that won't be used
+        return res.status(result.status).json(result.body);
+      }
+    }
+
+    const declaredSize = Number(req.get('X-File-Size'));
+    const declaredName = req.get('X-File-Name');
+    const size = Number.isFinite(declaredSize) && declaredSize > 0 ? declaredSize : 0;
+    const allowance = await checkUploadAllowance(req.user.email, account.plan, size);
+    const rejection = checkUploadAgainstPlan(account, {
+      fileName: declaredName ? path.basename(declaredName) : undefined,
+      size
+    }) || allowance.rejection;
+    if (rejection) {
+      emitUploadEvents(req.user.email, rejection);
+      res.set('Connection', 'close'); // Don't wait for a body that won't be used
+      return res.set(rejection.headers || {}).status(rejection.status).json(rejection.body);
+    }
+
+    req.uploadAccount = account;
+    req.uploadSizeLimit = Math.max(0, Math.min(
+      MAX_UPLOAD_SIZE,
+      account.plan.maxFileSize,
+      account.plan.storageLimit - Number(account.user.storage_used),
+      allowance.bytesRemaining // Today's upload allowance
+    ));
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Receive the multipart `file` field with the limit set by checkDeclaredUpload, staged on disk or streamed to storage
+function receiveUpload(req, res, next) {
+  const upload = STREAM_UPLOADS
+    ? multer({ storage: streamingUploadStorage, limits: { fileSize: req.uploadSizeLimit + 1, files: 1 } }) // The engine enforces the exact limit
+    : multer({ storage: uploadStorage, limits: { fileSize: req.uploadSizeLimit, files: 1 } });
+  upload.single('file')(req, res, AsyncResource.bind((error) => { // Bound like the body parsers, see bindRequestContext
+    if (!error) {
+      return next();
+    }
+    res.set('Connection', 'close');
+    if (error instanceof multer.MulterError && error.code === 'LIMIT_FILE_SIZE') {
+      const { user, plan } = req.uploadAccount;
+      if (req.uploadSizeLimit === plan.storageLimit - Number(user.storage_used)) { // The remaining storage was the limit
+        emitWebhookEvent(req.user.email, 'quota.exceeded', { storageUsed: Number(user.storage_used), storageLimit: plan.storageLimit });
+      }
+      return res.status(413).json({
+        error: "File exceeds the plan's maximum file size or the remaining storage",
+        maxSize: req.uploadSizeLimit
+      });
+    }
+    if (error instanceof multer.MulterError) {
+      return res.status(400).json({ error: error.message });
+    }
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, ...error.details });
+    }
+    next(error);
+  }));
+}
+
+// API endpoint for file upload
+app.post('/upload', authenticateRequest, requireUser, checkDeclaredUpload, receiveUpload, async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ error: 'No file uploaded' });
+  }
+
+  const userEmail = req.user.email;
+  const privacy = req.body.privacy || 'public'; // Get privacy setting from request
+  const uploadMode = req.file.token ? 'streamed' : 'staged';
+
+  try {
+    const result = req.file.token
+      ? await recordUpload({ // Streamed: already in storage and checked by StreamingStorage
+        userEmail,
+        privacy,
+        fileName: req.file.filename,
+        size: req.file.size,
+        container: req.file.container,
+        storageToken: req.file.token,
+        userPlan: req.uploadAccount.plan.name,
+        contentHash: req.file.contentHash
+      })
+      : await processUpload({
+        userEmail,
+        privacy,
+        localPath: req.file.path,
+        fileName: req.file.filename,
+        size: req.file.size,
+        contentHash: req.file.contentHash
+      });
+    observeUpload(uploadMode, (Date.now() - req.startedAt) / 1000, result);
+    emitUploadEvents(userEmail, result);
+    res.set(result.headers || {}).status(result.status).json(result.body);
+  } catch (error) {
+    observeUpload(uploadMode, (Date.now() - req.startedAt) / 1000, null);
+    logger.error(`Error in file upload: ${error.message}`, { stack: error.stack });
+    res.status(500).json({
+      error: 'Failed to process file upload',
+      details: error.message
+    });
+  } finally {
+    removeLocalFile(req.file.path); // Local copy is no longer needed once forwarded (or rejected)
+  }
+});
+
+// --- Resumable Uploads (tus-compatible) ---
+// Flow: POST /uploads creates a session, PATCH /uploads/:id (tus) or PUT /uploads/:id/chunks/:index
+// appends data, HEAD /uploads/:id reports the offset and POST /uploads/:id/finalize runs processUpload.
+
+// A request that writes to or finalizes a session locks it in its upload_sessions row first, so it holds across
+// server instances. The lock is a lease: renewed while the request runs, taken over once it lapses.
+const UPLOAD_SESSION_LOCK_MS = 2 * 60 * 1000;
+
+function sessionPartPath(sessionId) {
+  return path.join(uploadSessionsDir, `${sessionId}.part`);
+}
+
+// Lock one of the caller's sessions; resolves with a function that releases the lock. Sends the error response
+// (404, 410, or 409 while another request holds the lock) and resolves with null if it can't be locked.
+async function lockUploadSession(req, res) {
+  const lockId = uuidv4();
+  const [result] = await pool.execute(
+    'UPDATE upload_sessions SET lock_id = ?, locked_until = ? WHERE id = ? AND user_email = ? AND (lock_id IS NULL OR locked_until < ?)',
+    [lockId, new Date(Date.now() + UPLOAD_SESSION_LOCK_MS), req.params.id, req.user.email, new Date()]
+  );
+  if (result.affectedRows === 0) {
+    if (await loadUploadSession(req, res)) {
+      res.status(409).json({ error: 'Upload session is busy' });
+    }
+    return null;
+  }
+
+  const renewal = setInterval(() => {
+    pool.execute(
+      'UPDATE upload_sessions SET locked_until = ? WHERE id = ? AND lock_id = ?',
+      [new Date(Date.now() + UPLOAD_SESSION_LOCK_MS), req.params.id, lockId]
+    ).catch(error => logger.warn(`Could not renew the lock of upload session ${req.params.id}: ${error.message}`));
+  }, UPLOAD_SESSION_LOCK_MS / 4);
+  renewal.unref();
+
+  return async () => {
+    clearInterval(renewal);
+    await pool.execute(
+      'UPDATE upload_sessions SET lock_id = NULL, locked_until = NULL WHERE id = ? AND lock_id = ?',
+      [req.params.id, lockId]
+    ).catch(error => logger.error(`Could not unlock upload session ${req.params.id}: ${error.message}`)); // It lapses on its own
+  };
+}
+
+// Parse a tus Upload-Metadata header ("key base64value,key2 base64value2")
+function parseUploadMetadata(header) {
+  const metadata = {};
+  if (!header) {
+    return metadata;
+  }
+  for (const pair of header.split(',')) {
+    const [key, value] = pair.trim().split(' ');
+    if (key) {
+      metadata[key] = value ? Buffer.from(value, 'base64').toString('utf8') : '';
+    }
+  }
+  return metadata;
+}
+
+function setUploadSessionHeaders(res, session) {
+  res.set({
+    'Upload-Offset': String(session.upload_offset),
+    'Upload-Length': String(session.upload_length),
+    'Upload-Expires': new Date(session.expires_at).toUTCString(),
+    'Cache-Control': 'no-store'
+  });
+}
+
+// Load one of the caller's sessions and reject missing or expired ones; sends the error response and returns null on failure
+async function loadUploadSession(req, res) {
+  const [rows] = await pool.execute(
+    'SELECT * FROM upload_sessions WHERE id = ? AND user_email = ?',
+    [req.params.id, req.user.email]
+  );
+  if (rows.length === 0) {
+    res.status(404).json({ error: 'Upload session not found' });
+    return null;
+  }
+  const session = rows[0];
+  if (new Date(session.expires_at) <= new Date()) {
+    res.status(410).json({ error: 'Upload session has expired' });
+    return null;
+  }
+  return session;
+}
+
+// Stream the request body into the session's partial file starting at `offset`, refusing more than `maxBytes`.
+// Resolves with the bytes actually written so an interrupted request still advances the offset.
+// Data written from the start of the file is sniffed on the way in (see ContentSniffer).
+function writeSessionData(req, session, offset, maxBytes) {
+  return new Promise((resolve) => {
+    let received = 0;
+    const counter = new Transform({
+      transform(chunk, encoding, callback) {
+        received += chunk.length;
+        if (received > maxBytes) {
+          const error = new Error('Request body exceeds the remaining upload length');
+          error.status = 413;
+          return callback(error);
+        }
+        callback(null, chunk);
+      }
+    });
+    const out = fs.createWriteStream(sessionPartPath(session.id), { flags: 'r+', start: offset });
+    const streams = offset === 0 ? [req, counter, new ContentSniffer(session.file_name, { allowShort: true })] : [req, counter];
+    pipeline(...streams, out, (error) => {
+      resolve({ bytesWritten: out.bytesWritten, error });
+    });
+  });
+}
+
+// Verify the session's first bytes once a write has completed them; returns the 415 error if they don't match
+async function checkSessionContent(session, previousOffset) {
+  const headEnd = Math.min(SNIFF_LENGTH, session.upload_length);
+  if (previousOffset >= headEnd || session.upload_offset < headEnd) {
+    return null;
+  }
+  try {
+    verifyFileContent(await readFileHead(sessionPartPath(session.id)), session.file_name);
+    return null;
+  } catch (error) {
+    if (error.status !== 415) {
+      throw error;
+    }
+    return error;
+  }
+}
+
+// Drop a session whose content was refused and tell the client why
+async function rejectSessionContent(res, session, error) {
+  removeLocalFile(sessionPartPath(session.id));
+  await pool.execute('DELETE FROM upload_sessions WHERE id = ?', [session.id]);
+  logger.warn(`Upload session ${session.id} rejected: ${error.message}`);
+  res.set('Connection', 'close');
+  res.status(415).json({ error: error.message, ...error.details });
+}
+
+async function saveUploadOffset(session, newOffset) {
+  session.upload_offset = newOffset;
+  session.expires_at = new Date(Date.now() + UPLOAD_SESSION_TTL_MS); // Activity keeps the session alive
+  await pool.execute(
+    'UPDATE upload_sessions SET upload_offset = ?, expires_at = ? WHERE id = ?',
+    [newOffset, session.expires_at, session.id]
+  );
+}
+
+// Delete expired sessions and any partial files left without a session row
+async function cleanupExpiredUploadSessions() {
+  const [expired] = await pool.execute('SELECT id FROM upload_sessions WHERE expires_at <= NOW()');
+  let removed = 0;
+  for (const { id } of expired) {
+    const [result] = await pool.execute( // Sessions still locked by a request are picked up on a later sweep
+      'DELETE FROM upload_sessions WHERE id = ? AND (lock_id IS NULL OR locked_until < ?)',
+      [id, new Date()]
+    );
+    if (result.affectedRows > 0) {
+      removeLocalFile(sessionPartPath(id));
+      removed++;
+    }
+  }
+
+  const [sessions] = await pool.execute('SELECT id FROM upload_sessions');
+  const knownIds = new Set(sessions.map(session => session.id));
+  for (const file of await fs.promises.readdir(uploadSessionsDir)) {
+    const id = path.basename(file, '.part');
+    if (!knownIds.has(id)) {
+      removeLocalFile(path.join(uploadSessionsDir, file));
+    }
+  }
+
+  if (removed > 0) {
+    logger.info(`Removed ${removed} expired upload session(s)`);
+  }
+}
+
+app.use('/uploads', (req, res, next) => { // Every resumable upload response advertises the tus version
+  res.set('Tus-Resumable', TUS_VERSION);
+  const clientVersion = req.get('Tus-Resumable');
+  if (clientVersion && clientVersion !== TUS_VERSION) {
+    res.set('Tus-Version', TUS_VERSION);
+    return res.status(412).json({ error: `Unsupported tus version, expected ${TUS_VERSION}` });
+  }
+  next();
+});
+
+// API endpoint to create a resumable upload session
+// Accepts tus headers (Upload-Length, Upload-Metadata with filename/privacy) or a JSON body
+app.post('/uploads', authenticateRequest, requireUser, async (req, res) => {
+  const metadata = parseUploadMetadata(req.get('Upload-Metadata'));
+  const body = req.body || {};
+  const userEmail = req.user.email;
+  const fileName = path.basename(metadata.filename || body.fileName || '');
+  const privacy = metadata.privacy || body.privacy || 'public';
+  const uploadLength = Number(req.get('Upload-Length') || body.fileSize);
+  const chunkSize = Number(metadata.chunkSize || body.chunkSize) || DEFAULT_CHUNK_SIZE;
+
+  if (!fileName) {
+    return res.status(400).json({ error: 'File name is required' });
+  }
+  if (!Number.isSafeInteger(uploadLength) || uploadLength <= 0) {
+    return res.status(400).json({ error: 'A positive Upload-Length is required' });
+  }
+  if (uploadLength > MAX_UPLOAD_SIZE) {
+    return res.status(413).json({ error: 'File exceeds the maximum upload size', maxSize: MAX_UPLOAD_SIZE });
+  }
+  if (!Number.isSafeInteger(chunkSize) || chunkSize <= 0) {
+    return res.status(400).json({ error: 'Chunk size must be a positive integer' });
+  }
+  if (!['public', 'private'].includes(privacy)) {
+    return res.status(400).json({ error: 'Privacy must be "public" or "private"' });
+  }
+
+  try {
+    // Reject early when the declared file can't be accepted; finalize checks again
+    const account = await getUserAccount(userEmail);
+    if (!account) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    const rejection = checkUploadAgainstPlan(account, { fileName, size: uploadLength })
+      || (await checkUploadAllowance(userEmail, account.plan, uploadLength)).rejection;
+    if (rejection) {
+      return res.set(rejection.headers || {}).status(rejection.status).json(rejection.body);
+    }
+
+    const session = {
+      id: uuidv4(),
+      upload_offset: 0,
+      upload_length: uploadLength,
+      expires_at: new Date(Date.now() + UPLOAD_SESSION_TTL_MS)
+    };
+    await pool.execute( // The row goes first, so the cleanup sweep never finds the part file without it
+      'INSERT INTO upload_sessions (id, user_email, file_name, privacy, upload_length, chunk_size, expires_at) VALUES (?, ?, ?, ?, ?, ?, ?)',
+      [session.id, userEmail, fileName, privacy, uploadLength, chunkSize, session.expires_at]
+    );
+    try {
+      await fs.promises.writeFile(sessionPartPath(session.id), '');
+    } catch (error) {
+      await pool.execute('DELETE FROM upload_sessions WHERE id = ?', [session.id]);
+      throw error;
+    }
+
+    logger.info(`Created upload session ${session.id} for ${userEmail} (${uploadLength} bytes)`);
+    setUploadSessionHeaders(res, session);
+    res.location(`/uploads/${session.id}`);
+    res.status(201).json({
+      id: session.id,
+      uploadUrl: `/uploads/${session.id}`,
+      offset: 0,
+      length: uploadLength,
+      chunkSize: chunkSize,
+      expiresAt: session.expires_at.toISOString()
+    });
+  } catch (error) {
+    logger.error(`Error creating upload session: ${error.message}`);
+    res.status(500).json({ error: 'Failed to create upload session', details: error.message });
+  }
+});
+
+// API endpoint to query the current offset of a session (tus HEAD)
+app.head('/uploads/:id', authenticateRequest, requireUser, async (req, res) => {
+  try {
+    const session = await loadUploadSession(req, res);
+    if (!session) {
+      return;
+    }
+    setUploadSessionHeaders(res, session);
+    res.status(200).end();
+  } catch (error) {
+    logger.error(`Error reading upload session: ${error.message}`);
+    res.status(500).end();
+  }
+});
+
+// API endpoint to read a session's progress as JSON, for clients that don't speak tus
+app.get('/uploads/:id', authenticateRequest, requireUser, async (req, res) => {
+  try {
+    const session = await loadUploadSession(req, res);
+    if (!session) {
+      return;
+    }
+    setUploadSessionHeaders(res, session);
+    res.json({
+      id: session.id,
+      fileName: session.file_name,
+      offset: session.upload_offset,
+      length: session.upload_length,
+      chunkSize: session.chunk_size,
+      nextChunk: Math.floor(session.upload_offset / session.chunk_size),
+      expiresAt: new Date(session.expires_at).toISOString()
+    });
+  } catch (error) {
+    logger.error(`Error reading upload session: ${error.message}`);
+    res.status(500).json({ error: 'Failed to read upload session' });
+  }
+});
+
+// API endpoint to append data at the current offset (tus PATCH)
+app.patch('/uploads/:id', authenticateRequest, requireUser, async (req, res) => {
+  if (req.get('Content-Type') !== 'application/offset+octet-stream') {
+    return res.status(415).json({ error: 'Content-Type must be application/offset+octet-stream' });
+  }
+  const clientOffset = Number(req.get('Upload-Offset'));
+
+  let unlock;
+  try {
+    unlock = await lockUploadSession(req, res);
+    if (!unlock) {
+      return;
+    }
+    const session = await loadUploadSession(req, res);
+    if (!session) {
+      return;
+    }
+    if (clientOffset !== session.upload_offset) {
+      setUploadSessionHeaders(res, session);
+      return res.status(409).json({ error: 'Upload-Offset does not match the current offset', offset: session.upload_offset });
+    }
+
+    const previousOffset = session.upload_offset;
+    const { bytesWritten, error } = await writeSessionData(req, session, session.upload_offset, session.upload_length - session.upload_offset);
+    await saveUploadOffset(session, session.upload_offset + bytesWritten); // Keep whatever arrived, tus clients resume from here
+
+    const contentError = error && error.status === 415 ? error : await checkSessionContent(session, previousOffset);
+    if (contentError) {
+      return rejectSessionContent(res, session, contentError);
+    }
+    if (error) {
+      if (error.status === 413) {
+        setUploadSessionHeaders(res, session);
+        return res.status(413).json({ error: error.message });
+      }
+      logger.warn(`Upload session ${session.id} interrupted at offset ${session.upload_offset}: ${error.message}`);
+      if (!res.headersSent && !req.socket.destroyed) {
+        res.status(400).json({ error: 'Upload interrupted', offset: session.upload_offset });
+      }
+      return;
+    }
+
+    setUploadSessionHeaders(res, session);
+    res.status(204).end();
+  } catch (error) {
+    logger.error(`Error writing upload session data: ${error.message}`);
+    res.status(500).json({ error: 'Failed to write upload data', details: error.message });
+  } finally {
+    if (unlock) {
+      await unlock();
+    }
+  }
+});
+
+// API endpoint to upload a numbered chunk; chunk N covers bytes [N * chunkSize, (N + 1) * chunkSize)
+// Chunks must arrive in order, re-sending an already stored chunk is acknowledged without rewriting it
+app.put('/uploads/:id/chunks/:index', authenticateRequest, requireUser, async (req, res) => {
+  const index = Number(req.params.index);
+  if (!Number.isSafeInteger(index) || index < 0) {
+    return res.status(400).json({ error: 'Chunk index must be a non-negative integer' });
+  }
+
+  let unlock;
+  try {
+    unlock = await lockUploadSession(req, res);
+    if (!unlock) {
+      return;
+    }
+    const session = await loadUploadSession(req, res);
+    if (!session) {
+      return;
+    }
+
+    const start = index * session.chunk_size;
+    if (start >= session.upload_length) {
+      return res.status(400).json({ error: 'Chunk index is beyond the end of the upload' });
+    }
+    const expectedLength = Math.min(session.chunk_size, session.upload_length - start);
+
+    setUploadSessionHeaders(res, session);
+    if (start + expectedLength <= session.upload_offset) {
+      req.resume(); // Already stored, discard the retransmitted body
+      return res.json({ offset: session.upload_offset, alreadyReceived: true });
+    }
+    if (start !== session.upload_offset) {
+      return res.status(409).json({
+        error: 'Chunks must be uploaded in order',
+        offset: session.upload_offset,
+        nextChunk: Math.floor(session.upload_offset / session.chunk_size)
+      });
+    }
+
+    const { bytesWritten, error } = await writeSessionData(req, session, start, expectedLength);
+    if (error && error.status === 415) {
+      return rejectSessionContent(res, session, error);
+    }
+    if (error || bytesWritten !== expectedLength) {
+      await fs.promises.truncate(sessionPartPath(session.id), start); // A chunk is all or nothing
+      if (error && error.status === 413) {
+        return res.status(413).json({ error: 'Chunk is larger than expected', expectedLength });
+      }
+      if (!res.headersSent && !req.socket.destroyed) {
+        res.status(400).json({ error: 'Incomplete chunk', expectedLength, received: bytesWritten });
+      }
+      return;
+    }
+
+    await saveUploadOffset(session, start + bytesWritten);
+    const contentError = await checkSessionContent(session, start);
+    if (contentError) {
+      return rejectSessionContent(res, session, contentError);
+    }
+    setUploadSessionHeaders(res, session);
+    res.json({ offset: session.upload_offset, complete: session.upload_offset === session.upload_length });
+  } catch (error) {
+    logger.error(`Error writing upload chunk: ${error.message}`);
+    res.status(500).json({ error: 'Failed to write upload chunk', details: error.message });
+  } finally {
+    if (unlock) {
+      await unlock();
+    }
+  }
+});
+
+// API endpoint to finalize a completed session through the same pipeline as /upload
+app.post('/uploads/:id/finalize', authenticateRequest, requireUser, async (req, res) => {
+  let unlock;
+  try {
+    unlock = await lockUploadSession(req, res);
+    if (!unlock) {
+      return;
+    }
+    const session = await loadUploadSession(req, res);
+    if (!session) {
+      return;
+    }
+    if (session.upload_offset !== session.upload_length) {
+      setUploadSessionHeaders(res, session);
+      return res.status(409).json({
+        error: 'Upload is not complete',
+        offset: session.upload_offset,
+        length: session.upload_length
+      });
+    }
+
+    const result = await processUpload({
+      userEmail: session.user_email,
+      privacy: session.privacy,
+      localPath: sessionPartPath(session.id),
+      fileName: session.file_name,
+      size: session.upload_length
+    });
+    observeUpload('resumable', (Date.now() - new Date(session.created_at).getTime()) / 1000, result); // Since the session was created
+
+    if (result.status === 200) {
+      // Keep the data on failure so the client can retry finalize until the session expires
+      removeLocalFile(sessionPartPath(session.id));
+      await pool.execute('DELETE FROM upload_sessions WHERE id = ?', [session.id]);
+      logger.info(`Finalized upload session ${session.id} as token ${result.body.token}`);
+    }
+    emitUploadEvents(session.user_email, result);
+    res.set(result.headers || {}).status(result.status).json(result.body);
+  } catch (error) {
+    logger.error(`Error finalizing upload session: ${error.message}`);
+    res.status(500).json({ error: 'Failed to process file upload', details: error.message });
+  } finally {
+    if (unlock) {
+      await unlock();
+    }
+  }
+});
+
+// API endpoint to abandon a session and discard its data (tus termination)
+app.delete('/uploads/:id', authenticateRequest, requireUser, async (req, res) => {
+  try {
+    const [result] = await pool.execute(
+      'DELETE FROM upload_sessions WHERE id = ? AND user_email = ? AND (lock_id IS NULL OR locked_until < ?)',
+      [req.params.id, req.user.email, new Date()]
+    );
+    if (result.affectedRows === 0) {
+      const [rows] = await pool.execute('SELECT id FROM upload_sessions WHERE id = ? AND user_email = ?', [req.params.id, req.user.email]);
+      return rows.length > 0
+        ? res.status(409).json({ error: 'Upload session is busy' })
+        : res.status(404).json({ error: 'Upload session not found' });
+    }
+    removeLocalFile(sessionPartPath(req.params.id));
+    res.status(204).end();
+  } catch (error) {
+    logger.error(`Error deleting upload session: ${error.message}`);
+    res.status(500).json({ error: 'Failed to delete upload session' });
+  }
+});
+
+// --- File Privacy and Share Links ---
+// Public files are reachable by anyone. Private files only by their owner, or through a share link:
+// the file URL plus ?share=<id>&expires=<ms>&signature=<hmac>. Links expire, can be limited to a number of
+// downloads and can be revoked, so besides the signature every link is also checked against share_links.
+
+const shareLinkSecret = secretFromEnv('SHARE_LINK_SECRET', 'share links');
+const DEFAULT_SHARE_LINK_TTL_SECONDS = 7 * 24 * 60 * 60; // 7 days
+const MAX_SHARE_LINK_TTL_SECONDS = 365 * 24 * 60 * 60; // 1 year
+
+function signShareLink(id, expires) {
+  return crypto.createHmac('sha256', shareLinkSecret).update(`${id}.${expires}`).digest('hex');
+}
+
+function shareLinkUrl(token, link) {
+  const expires = new Date(link.expires_at).getTime();
+  const baseUrl = process.env.SHARE_LINK_BASE_URL || `${process.env.PUBLIC_URL || ''}/api/initiate-download`;
+  return `${baseUrl}/${token}?share=${link.id}&expires=${expires}&signature=${signShareLink(link.id, expires)}`;
+}
+
+function formatShareLink(token, link) {
+  return {
+    id: link.id,
+    url: shareLinkUrl(token, link),
+    expiresAt: link.expires_at,
+    maxUses: link.max_uses,
+    useCount: link.use_count,
+    revokedAt: link.revoked_at,
+    createdAt: link.created_at
+  };
+}
+
+// Look up the share link named in the query string if its signature and limits still hold
+async function findValidShareLink(token, query) {
+  const { share, expires, signature } = query;
+  if (!share || !signature || !safeEqual(signShareLink(share, expires), signature) || Number(expires) < Date.now()) {
+    return null;
+  }
+  const [rows] = await pool.execute(
+    `SELECT * FROM share_links
+     WHERE id = ? AND file_token = ? AND revoked_at IS NULL AND expires_at > NOW()
+       AND (max_uses IS NULL OR use_count < max_uses)`,
+    [share, token]
+  );
+  return rows[0] || null;
+}
+
+// Count one use of a share link; false if it ran out (or was revoked) in the meantime
+async function consumeShareLinkUse(link) {
+  const [result] = await pool.execute(
+    `UPDATE share_links SET use_count = use_count + 1
+     WHERE id = ? AND revoked_at IS NULL AND expires_at > NOW() AND (max_uses IS NULL OR use_count < max_uses)`,
+    [link.id]
+  );
+  return result.affectedRows === 1;
+}
+
+// Middleware for viewer-facing file routes; run after optionalUser. Sets req.fileAccess = { file, isOwner, shareLink }
+const requireFileAccess = async (req, res, next) => {
+  const { token } = req.params;
+  try {
+    const [rows] = await pool.execute(
+      `SELECT ft.token, ft.user_email, ft.file_size, COALESCE(fm.privacy, 'public') AS privacy
+       FROM file_tokens ft LEFT JOIN file_meta fm ON fm.token = ft.token
+       WHERE ft.token = ? AND ft.deleted_at IS NULL`,
+      [token]
+    );
+    if (rows.length === 0) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    const file = rows[0];
+    const isOwner = Boolean(req.user) && req.user.email === file.user_email;
+    if (isOwner || file.privacy === 'public') {
+      req.fileAccess = { file, isOwner, shareLink: null };
+      return next();
+    }
+
+    const shareLink = await findValidShareLink(token, req.query);
+    if (!shareLink) {
+      securityLogger.warn(`Denied access to private file ${token} from ${req.ip}`);
+      return res.status(403).json({ error: 'This file is private' });
+    }
+    req.fileAccess = { file, isOwner, shareLink };
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// API endpoint to create a share link for one of the caller's files
+// Body: { expiresIn (seconds) | expiresAt (ISO date), maxUses } - all optional, links last 7 days by default
+app.post('/api/files/:token/share-links', authenticateRequest, requireUser, async (req, res) => {
+  const { token } = req.params;
+  const { expiresIn, expiresAt, maxUses } = req.body || {};
+
+  const expiry = expiresAt
+    ? new Date(expiresAt)
+    : new Date(Date.now() + (Number(expiresIn) || DEFAULT_SHARE_LINK_TTL_SECONDS) * 1000);
+  if (isNaN(expiry) || expiry <= new Date() || expiry - Date.now() > MAX_SHARE_LINK_TTL_SECONDS * 1000) {
+    return res.status(400).json({ error: 'Expiry must be in the future and at most one year away' });
+  }
+  if (maxUses != null && (!Number.isInteger(maxUses) || maxUses <= 0)) {
+    return res.status(400).json({ error: 'maxUses must be a positive integer' });
+  }
+
+  try {
+    if (!await findOwnedFile(token, req.user.email)) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    const link = {
+      id: uuidv4(),
+      expires_at: new Date(Math.floor(expiry.getTime() / 1000) * 1000), // DATETIME has second precision
+      max_uses: maxUses || null,
+      use_count: 0,
+      revoked_at: null,
+      created_at: new Date()
+    };
+    await pool.execute(
+      'INSERT INTO share_links (id, file_token, created_by, expires_at, max_uses) VALUES (?, ?, ?, ?, ?)',
+      [link.id, token, req.user.email, link.expires_at, link.max_uses]
+    );
+    logger.info(`Share link ${link.id} created for ${token} by ${req.user.email}`);
+    res.status(201).json(formatShareLink(token, link));
+  } catch (error) {
+    logger.error(`Error creating share link: ${error.message}`);
+    res.status(500).json({ error: 'Failed to create share link' });
+  }
+});
+
+// API endpoint to list the share links of one of the caller's files
+app.get('/api/files/:token/share-links', authenticateRequest, requireUser, async (req, res) => {
+  const { token } = req.params;
+
+  try {
+    if (!await findOwnedFile(token, req.user.email)) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+    const [rows] = await pool.execute(
+      'SELECT * FROM share_links WHERE file_token = ? ORDER BY created_at DESC',
+      [token]
+    );
+    res.json(rows.map(link => formatShareLink(token, link)));
+  } catch (error) {
+    logger.error(`Error listing share links: ${error.message}`);
+    res.status(500).json({ error: 'Failed to list share links' });
+  }
+});
+
+// API endpoint to revoke a share link
+app.delete('/api/files/:token/share-links/:id', authenticateRequest, requireUser, async (req, res) => {
+  const { token, id } = req.params;
+
+  try {
+    if (!await findOwnedFile(token, req.user.email)) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+    const [result] = await pool.execute(
+      'UPDATE share_links SET revoked_at = NOW() WHERE id = ? AND file_token = ? AND revoked_at IS NULL',
+      [id, token]
+    );
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ error: 'Share link not found' });
+    }
+    logger.info(`Share link ${id} revoked by ${req.user.email}`);
+    res.json({ message: 'Share link revoked' });
+  } catch (error) {
+    logger.error(`Error revoking share link: ${error.message}`);
+    res.status(500).json({ error: 'Failed to revoke share link' });
+  }
+});
+
+// Utility function to get a user's plan from the catalog (the default plan for unknown users)
+async function getUserPlan(userEmail) {
+  const query = 'SELECT plan FROM users WHERE email = ?';
+  const [rows] = await pool.execute(query, [userEmail]);
+  return resolvePlan(rows.length > 0 ? rows[0].plan : null);
+}
+
+// API endpoint to initiate file download (plans with downloads enabled only)
+// Private files need the owner's credentials or a share link, which uses up one of its downloads
+app.get('/api/initiate-download/:token', authenticateRequest, optionalUser, requireFileAccess, async (req, res) => {
+  const { token } = req.params;
+
+  try {
+    const { file, shareLink } = req.fileAccess;
+    const userEmail = file.user_email;
+    const account = await getUserAccount(userEmail);
+    if (account && account.user.suspended_at) {
+      const rejection = suspendedRejection();
+      return res.status(rejection.status).json(rejection.body);
+    }
+    const userPlan = account ? account.plan : await resolvePlan(null);
+
+    if (!userPlan.canDownload) {
+      logger.info(`Refused download of ${token}: downloads are not available on the ${userPlan.name} plan`);
+      return res.status(403).json({ error: 'Download is not available on your plan. Upgrade your plan to access this feature.' });
+    }
+
+    // Downloads count toward the owner's monthly bandwidth, whoever starts them
+    const bandwidth = await usageStatus(userEmail, userPlan, 'download_bytes');
+    const fileSize = Number(file.file_size) || 0;
+    if (bandwidth && bandwidth.used + fileSize > bandwidth.limit) {
+      const rejection = usageLimitRejection(bandwidth, `The ${userPlan.name} plan allows downloading ${bandwidth.limit} bytes per month`);
+      return res.set(rejection.headers).status(rejection.status).json(rejection.body);
+    }
+
+    if (shareLink && !await consumeShareLinkUse(shareLink)) {
+      return res.status(403).json({ error: 'This share link has expired or reached its download limit' });
+    }
+
+    const downloadUrl = await storage.getDownloadUrl(token); // Storage server URL, or a signed local link
+    await addUsage(`user:${userEmail}`, 'download_bytes', fileSize);
+    logger.info(`Started download of ${token} owned by ${userEmail}${shareLink ? ' through a share link' : ''}`); // Not the URL, it's a credential
+    res.json({ downloadUrl });
+  } catch (error) {
+    logger.error(`Error in initiate-download: ${error.message}`, { stack: error.stack });
+    res.status(500).json({ error: 'An error occurred while processing your request' });
+  }
+});
+
+// Serve files kept by the local storage driver through the signed links from getDownloadUrl
+if (storage instanceof LocalStorageDriver) {
+  app.get('/storage/files/:token', async (req, res) => {
+    const { token } = req.params;
+    const { expires, signature } = req.query;
+
+    if (!storage.verifySignature(token, expires, signature)) {
+      return res.status(403).json({ error: 'Invalid or expired download link' });
+    }
+
+    try {
+      const filePath = await storage.resolveFile(token);
+      if (!filePath || !fs.existsSync(filePath)) {
+        return res.status(404).json({ error: 'File not found' });
+      }
+      res.download(filePath); // Supports Range requests for resumable downloads and seeking
+    } catch (error) {
+      logger.error(`Error serving local file: ${error.message}`);
+      res.status(500).json({ error: 'Failed to serve file' });
+    }
+  });
+}
+
+// API endpoint to update file name
+app.post('/api/update-file-name', authenticateRequest, requireUser, async (req, res) => {
+  const { token, newFileName } = req.body;
+
+  if (!token || !newFileName) {
+    return res.status(400).json({ error: 'Token and new file name are required' });
+  }
+
+  try {
+    // Get file information using token, only for the caller's own files
+    const fileInfo = await findOwnedFile(token, req.user.email);
+
+    if (!fileInfo) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    const { user_email: userEmail } = fileInfo;
+    const previousFileName = (await fileDisplayNames([fileInfo])).get(token);
+
+    // Send rename request to storage first, so a failure leaves the metadata untouched
+    const renamed = await storage.renameFile({ token, newFileName, userEmail });
+
+    await pool.execute(
+      'UPDATE file_meta SET file_name = ?, updated_at = NOW() WHERE token = ?',
+      [newFileName, token]
+    );
+    emitWebhookEvent(userEmail, 'file.renamed', { token, fileName: newFileName, previousFileName });
+
+    res.json({
+      message: 'File and metadata renamed successfully',
+      newFileName,
+      token: renamed.token
+    });
+
+  } catch (error) {
+    logger.error(`Error updating file name: ${error.message}`, { stack: error.stack });
+    res.status(500).json({
+      error: 'Failed to update file name',
+      details: error.message
+    });
+  }
+});
+
+// Token -> name shown to the user (file_meta.file_name, or the uploaded name for files without one)
+async function fileDisplayNames(fileRows) {
+  const [metaRows] = await pool.query('SELECT token, file_name FROM file_meta WHERE token IN (?)', [fileRows.map(file => file.token)]);
+  const names = new Map(fileRows.map(file => [file.token, path.basename(file.file_path)]));
+  metaRows.filter(row => row.file_name).forEach(row => names.set(row.token, row.file_name));
+  return names;
+}
+
+// Remove the database rows of purged files (storage_used is left to the caller)
+async function removeFileRecords(tokens) {
+  await pool.query('DELETE FROM file_tokens WHERE token IN (?) AND deleted_at IS NOT NULL', [tokens]);
+  await pool.query('DELETE FROM file_meta WHERE token IN (?)', [tokens]);
+  await pool.query('DELETE FROM view_events WHERE token IN (?)', [tokens]);
+  await pool.query('DELETE FROM share_links WHERE file_token IN (?)', [tokens]);
+  await pool.query('DELETE FROM file_tags WHERE token IN (?)', [tokens]);
+}
+
+// API endpoint to delete a file: it is moved to the trash (see Trash) and purged later
+app.delete('/request/delete/:token', authenticateRequest, requireUser, async (req, res) => {
+  const { token } = req.params;
+
+  try {
+    // Get file information using token, only for the caller's own files
+    const fileInfo = await findOwnedFile(token, req.user.email);
+
+    if (!fileInfo) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    const { files, storageFreed } = await moveFilesToTrash(fileInfo.user_email, [token]);
+    if (files.length === 0) {
+      return res.status(404).json({ error: 'File not found' }); // Trashed by a concurrent request
+    }
+
+    res.json({
+      message: 'File moved to trash',
+      details: {
+        storageFreed,
+        userEmail: fileInfo.user_email,
+        purgeAfter: trashPurgeDate(new Date())
+      }
+    });
+
+  } catch (error) {
+    logger.error(`Error processing file deletion: ${error.message}`, { stack: error.stack });
+    res.status(500).json({
+      error: 'Failed to process file deletion',
+      details: error.message
+    });
+  }
+});
+
+// --- Trash ---
+// Deleting a file moves it to the trash: file_tokens.deleted_at is set and the file disappears from every
+// listing and viewer route, but stays in storage and can be restored for TRASH_RETENTION_DAYS. The purge job
+// then deletes it from storage and removes its records. Trashed files keep counting toward the quota unless
+// TRASH_COUNTS_TOWARD_QUOTA=false, in which case storage_used is reduced when trashing (usage_released).
+// A purge claims its files first (purge_claim), and claimed files can no longer be restored.
+
+const TRASH_RETENTION_DAYS = Number.isNaN(parseInt(process.env.TRASH_RETENTION_DAYS, 10)) ? 30 : parseInt(process.env.TRASH_RETENTION_DAYS, 10);
+const TRASH_COUNTS_TOWARD_QUOTA = process.env.TRASH_COUNTS_TOWARD_QUOTA !== 'false';
+const TRASH_PURGE_INTERVAL_MS = 60 * 60 * 1000;
+const TRASH_PURGE_BATCH_SIZE = 100;
+const PURGE_CLAIM_LEASE_MS = 15 * 60 * 1000; // A purge that died mid-way leaves its claims to be taken over after this
+const MAX_TRASH_PAGE_SIZE = 500;
+
+function trashPurgeDate(deletedAt) {
+  return new Date(new Date(deletedAt).getTime() + TRASH_RETENTION_DAYS * DAY_MS);
+}
+
+// Move the caller's live files among `tokens` to the trash; returns the trashed file_tokens rows and the
+// bytes taken off storage_used (0 while trashed files count toward the quota)
+async function moveFilesToTrash(userEmail, tokens) {
+  let files;
+  let storageFreed = 0;
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+    [files] = await connection.query(
+      'SELECT token, file_path, user_email, file_size FROM file_tokens WHERE user_email = ? AND token IN (?) AND deleted_at IS NULL FOR UPDATE',
+      [userEmail, tokens]
+    );
+    if (files.length > 0) {
+      await connection.query(
+        'UPDATE file_tokens SET deleted_at = NOW(), usage_released = ? WHERE token IN (?)',
+        [!TRASH_COUNTS_TOWARD_QUOTA, files.map(file => file.token)]
+      );
+    }
+    if (!TRASH_COUNTS_TOWARD_QUOTA) {
+      storageFreed = files.reduce((sum, file) => sum + (Number(file.file_size) || 0), 0);
+    }
+    if (storageFreed > 0) {
+      await connection.execute('UPDATE users SET storage_used = GREATEST(storage_used - ?, 0) WHERE email = ?', [storageFreed, userEmail]);
+    }
+    await connection.commit();
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+
+  if (files.length > 0) {
+    const names = await fileDisplayNames(files);
+    const purgeAfter = trashPurgeDate(new Date()).toISOString();
+    for (const file of files) {
+      emitWebhookEvent(userEmail, 'file.deleted', { token: file.token, fileName: names.get(file.token), size: Number(file.file_size) || 0, purgeAfter });
+    }
+  }
+  return { files, storageFreed };
+}
+
+// Claim the files among `tokens` that are still in the trash and not being purged already; returns their
+// current rows. The conditional UPDATE waits for a restore in progress and then skips the restored file.
+async function claimFilesForPurge(tokens) {
+  const claim = uuidv4();
+  await pool.query(
+    `UPDATE file_tokens SET purge_claim = ?, purge_claimed_at = NOW()
+     WHERE token IN (?) AND deleted_at IS NOT NULL AND (purge_claim IS NULL OR purge_claimed_at < ?)`,
+    [claim, tokens, new Date(Date.now() - PURGE_CLAIM_LEASE_MS)]
+  );
+  const [files] = await pool.execute(
+    'SELECT token, user_email, file_size, usage_released, purge_claim FROM file_tokens WHERE purge_claim = ?',
+    [claim]
+  );
+  return files;
+}
+
+// Delete trashed files from storage and remove their records; storage_used is reduced for files whose usage
+// wasn't released when trashing. Files storage fails to delete stay in the trash for the next run. Files that
+// were restored, or are claimed by another purge, are neither purged nor failed.
+async function purgeFiles(candidates) {
+  const purged = [];
+  const failed = [];
+  const files = await claimFilesForPurge(candidates.map(file => file.token));
+  await mapWithConcurrency(files, BULK_STORAGE_CONCURRENCY, async (file) => {
+    try {
+      await storage.deleteFile({ token: file.token, userEmail: file.user_email });
+      purged.push(file);
+    } catch (error) {
+      failed.push({ token: file.token, error: error.message });
+      logger.warn(`Failed to purge file ${file.token} from storage: ${error.message}`);
+    }
+  });
+
+  if (failed.length > 0) { // Can be restored again
+    await pool.query(
+      'UPDATE file_tokens SET purge_claim = NULL, purge_claimed_at = NULL WHERE token IN (?) AND purge_claim = ?',
+      [failed.map(file => file.token), files[0].purge_claim]
+    );
+  }
+  if (purged.length > 0) {
+    await removeFileRecords(purged.map(file => file.token));
+    const usage = new Map(); // User -> bytes still counted in storage_used
+    for (const file of purged.filter(file => !file.usage_released)) {
+      usage.set(file.user_email, (usage.get(file.user_email) || 0) + (Number(file.file_size) || 0));
+    }
+    for (const [userEmail, bytes] of usage) {
+      await pool.execute('UPDATE users SET storage_used = GREATEST(storage_used - ?, 0) WHERE email = ?', [bytes, userEmail]);
+    }
+  }
+  return { purged, failed };
+}
+
+// Scheduled job: purge files that have been in the trash longer than TRASH_RETENTION_DAYS
+async function purgeExpiredTrash() {
+  const cutoff = new Date(Date.now() - TRASH_RETENTION_DAYS * DAY_MS);
+  let total = 0;
+  for (;;) {
+    const [files] = await pool.execute(
+      `SELECT token, user_email, file_size, usage_released FROM file_tokens
+       WHERE deleted_at IS NOT NULL AND deleted_at < ? ORDER BY deleted_at LIMIT ${TRASH_PURGE_BATCH_SIZE}`,
+      [cutoff]
+    );
+    if (files.length === 0) {
+      break;
+    }
+    const { purged } = await purgeFiles(files);
+    total += purged.length;
+    if (purged.length === 0 || files.length < TRASH_PURGE_BATCH_SIZE) {
+      break; // Storage is failing; leave the rest for the next run
+    }
+  }
+  if (total > 0) {
+    logger.info(`Purged ${total} file(s) from the trash`);
+  }
+}
+
+// API endpoint to list the caller's trashed files, most recently deleted first
+// Query (optional): limit (default 100, at most 500)
+app.get('/api/trash', authenticateRequest, requireUser, async (req, res) => {
+  const limit = Math.max(1, Math.min(parseInt(req.query.limit, 10) || 100, MAX_TRASH_PAGE_SIZE));
+  try {
+    const [rows] = await pool.query(
+      `SELECT ft.token, ft.file_path, ft.file_size, ft.deleted_at, fm.file_name, fm.privacy, fm.folder_id
+       FROM file_tokens ft LEFT JOIN file_meta fm ON fm.token = ft.token
+       WHERE ft.user_email = ? AND ft.deleted_at IS NOT NULL
+       ORDER BY ft.deleted_at DESC, ft.id DESC
+       LIMIT ?`,
+      [req.user.email, limit]
+    );
+    const [[{ count, size }]] = await pool.execute(
+      'SELECT COUNT(*) AS count, COALESCE(SUM(file_size), 0) AS size FROM file_tokens WHERE user_email = ? AND deleted_at IS NOT NULL',
+      [req.user.email]
+    );
+    res.json({
+      files: rows.map(row => ({
+        token: row.token,
+        fileName: row.file_name || path.basename(row.file_path),
+        fileSize: row.file_size,
+        privacy: row.privacy,
+        folderId: row.folder_id,
+        deletedAt: row.deleted_at,
+        purgeAt: trashPurgeDate(row.deleted_at)
+      })),
+      total: Number(count),
+      totalSize: Number(size),
+      countsTowardQuota: TRASH_COUNTS_TOWARD_QUOTA,
+      retentionDays: TRASH_RETENTION_DAYS
+    });
+  } catch (error) {
+    logger.error(`Error listing trash for ${req.user.email}: ${error.message}`);
+    res.status(500).json({ error: 'Failed to list trash' });
+  }
+});
+
+// API endpoint to restore a trashed file. Its folder is kept if it still exists, otherwise it goes to the top level.
+app.post('/api/trash/:token/restore', authenticateRequest, requireUser, async (req, res) => {
+  const { token } = req.params;
+  const userEmail = req.user.email;
+
+  let file;
+  let connection;
+  try {
+    connection = await pool.getConnection();
+    await connection.beginTransaction();
+    const [rows] = await connection.execute(
+      'SELECT token, file_path, user_email, file_size, usage_released, purge_claim FROM file_tokens WHERE token = ? AND user_email = ? AND deleted_at IS NOT NULL FOR UPDATE',
+      [token, userEmail]
+    );
+    if (rows.length === 0) {
+      await connection.rollback();
+      return res.status(404).json({ error: 'File not found in trash' });
+    }
+    file = rows[0];
+    if (file.purge_claim) { // Its stored copy may already be gone
+      await connection.rollback();
+      return res.status(409).json({ error: 'File is being deleted permanently and can no longer be restored' });
+    }
+
+    if (file.usage_released) {
+      // Same rule as uploads: the usage only comes back if it still fits the limit
+      const size = Number(file.file_size) || 0;
+      const [usageResult] = await connection.execute(
+        'UPDATE users SET storage_used = storage_used + ? WHERE email = ? AND storage_used + ? <= storage_limit',
+        [size, userEmail, size]
+      );
+      if (usageResult.affectedRows === 0) {
+        await connection.rollback();
+        return res.status(400).json({ error: 'Not enough storage space to restore this file', fileSize: size });
+      }
+    }
+    try {
+      await connection.execute('UPDATE file_tokens SET deleted_at = NULL, usage_released = FALSE WHERE token = ?', [token]);
+    } catch (error) {
+      if (error.code !== 'ER_DUP_ENTRY') {
+        throw error;
+      }
+      // The same content was uploaded again since it was trashed: both files stay, only the other one is matched
+      // as the duplicate of later uploads
+      await connection.execute('UPDATE file_tokens SET deleted_at = NULL, usage_released = FALSE, content_hash = NULL WHERE token = ?', [token]);
+    }
+    await connection.execute(
+      `UPDATE file_meta fm LEFT JOIN folders f ON f.id = fm.folder_id
+       SET fm.folder_id = NULL WHERE fm.token = ? AND fm.folder_id IS NOT NULL AND f.id IS NULL`,
+      [token]
+    );
+    await connection.commit();
+  } catch (error) {
+    if (connection) {
+      await connection.rollback().catch(rollbackError => logger.error(`Rollback failed: ${rollbackError.message}`));
+    }
+    logger.error(`Error restoring file ${token}: ${error.message}`);
+    return res.status(500).json({ error: 'Failed to restore file' });
+  } finally {
+    if (connection) {
+      connection.release();
+    }
+  }
+
+  const fileName = (await fileDisplayNames([file]).catch(() => new Map())).get(token); // The restore itself is done
+  emitWebhookEvent(userEmail, 'file.restored', { token, fileName, size: Number(file.file_size) || 0 });
+  logger.info(`Restored file ${token} from the trash for ${userEmail}`);
+  res.json({ message: 'File restored', token, fileName });
+});
+
+// API endpoint to delete a trashed file for good, without waiting for the purge
+app.delete('/api/trash/:token', authenticateRequest, requireUser, async (req, res) => {
+  try {
+    const [files] = await pool.execute(
+      'SELECT token, user_email, file_size, usage_released FROM file_tokens WHERE token = ? AND user_email = ? AND deleted_at IS NOT NULL',
+      [req.params.token, req.user.email]
+    );
+    if (files.length === 0) {
+      return res.status(404).json({ error: 'File not found in trash' });
+    }
+    const { purged, failed } = await purgeFiles(files);
+    if (failed.length > 0) {
+      return res.status(502).json({ error: 'Storage server failed to delete the file', details: failed[0].error });
+    }
+    if (purged.length === 0) {
+      return res.status(409).json({ error: 'File was restored or is already being deleted' });
+    }
+    res.json({ message: 'File deleted permanently', storageFreed: files[0].usage_released ? 0 : Number(files[0].file_size) || 0 });
+  } catch (error) {
+    logger.error(`Error purging file ${req.params.token}: ${error.message}`);
+    res.status(500).json({ error: 'Failed to delete file' });
+  }
+});
+
+// API endpoint to empty the caller's trash
+app.delete('/api/trash', authenticateRequest, requireUser, async (req, res) => {
+  try {
+    const [files] = await pool.execute(
+      'SELECT token, user_email, file_size, usage_released FROM file_tokens WHERE user_email = ? AND deleted_at IS NOT NULL',
+      [req.user.email]
+    );
+    const purged = [];
+    const failed = [];
+    for (let i = 0; i < files.length; i += TRASH_PURGE_BATCH_SIZE) {
+      const result = await purgeFiles(files.slice(i, i + TRASH_PURGE_BATCH_SIZE));
+      purged.push(...result.purged);
+      failed.push(...result.failed);
+    }
+    logger.info(`Emptied trash for ${req.user.email}: ${purged.length} file(s) purged, ${failed.length} failed`);
+    res.json({
+      message: 'Trash emptied',
+      purged: purged.length,
+      storageFreed: purged.filter(file => !file.usage_released).reduce((sum, file) => sum + (Number(file.file_size) || 0), 0),
+      failed
+    });
+  } catch (error) {
+    logger.error(`Error emptying trash for ${req.user.email}: ${error.message}`);
+    res.status(500).json({ error: 'Failed to empty trash' });
+  }
+});
+
+// API endpoint to get file thumbnail (private files need the owner or a share link)
+app.get('/api/thumbnail/:token', authenticateRequest, optionalUser, requireFileAccess, async (req, res) => {
+  const { token } = req.params;
+
+  try {
+    const thumbnail = await storage.getThumbnail(token);
+    if (!thumbnail) {
+      return res.status(404).json({ error: 'Thumbnail not found' });
+    }
+
+    res.set('Content-Type', 'image/jpeg');
+    res.send(thumbnail);
+
+  } catch (error) {
+    logger.error(`Error fetching thumbnail: ${error.message}`, { stack: error.stack });
+    res.status(500).json({ error: 'Failed to fetch thumbnail' });
+  }
+});
+
+// API endpoint to request thumbnail deletion (potentially unused in frontend, but kept for completeness)
+app.delete('/request/delete-thumbnail/:token', authenticateRequest, requireUser, async (req, res) => {
+  const { token } = req.params;
+
+  try {
+    const fileInfo = await findOwnedFile(token, req.user.email);
+
+    if (!fileInfo) {
+      return res.status(404).json({ error: 'Token not found' });
+    }
+
+    const { file_path: filePath, user_email: userEmail } = fileInfo;
+    const fileName = path.basename(filePath);
+    const thumbnailName = fileName.replace(/\.[^/.]+$/, "_thumbnail.jpg");
+
+    await storage.deleteFile({ userEmail, fileName: thumbnailName });
+
+    res.json({ message: 'Thumbnail deletion request sent successfully' });
+
+  } catch (error) {
+    logger.error(`Error processing thumbnail deletion: ${error.message}`, { stack: error.stack });
+    res.status(500).json({ error: 'Failed to process thumbnail deletion' });
+  }
+});
+
+// API endpoint to request a token from storage server (potentially unused in current flow, but kept for flexibility)
+app.post('/request-token', authenticateRequest, requireUser, async (req, res) => {
+  const { fileName } = req.body;
+  const userEmail = req.user.email;
+
+  if (!fileName) {
+    return res.status(400).json({ error: 'File name is required' });
+  }
+
+  try {
+    const token = await storage.requestToken({ fileName, userEmail });
+
+    if (token) {
+      logger.debug(`Token received for file: ${fileName}`);
+      return res.json({ token });
+    } else {
+      logger.debug(`No token found for file: ${fileName}`);
+      return res.status(404).json({ error: 'No token found for this file' });
+    }
+
+  } catch (error) {
+    logger.error(`Error requesting token from storage: ${error.message}`);
+    res.status(500).json({
+      error: 'Failed to retrieve token',
+      details: error.response ? error.response.data : error.message
+    });
+  }
+});
+
+// --- Payment Webhook ---
+// STE signs each delivery with X-STE-Timestamp (unix seconds) and X-STE-Signature, the hex HMAC-SHA256 of
+// "<timestamp>.<raw body>". Deliveries outside the timestamp tolerance are rejected so captured requests
+// can't be replayed. Every accepted event is logged in payment_events under its eventId (or a hash of the
+// body), which makes redeliveries no-ops. Status changes must follow PAYMENT_STATUS_TRANSITIONS; stale or
+// out-of-order events are logged and acknowledged without changing the payment.
+
+const steWebhookSecret = process.env.STE_WEBHOOK_SECRET || steApiKey; // Existing deployments keep signing with STE_KEY
+const STE_WEBHOOK_TOLERANCE_SECONDS = parseInt(process.env.STE_WEBHOOK_TOLERANCE_SECONDS, 10) || 300;
+
+// Allowed next statuses for each payment status; payments in a status not listed here are treated as pending
+const PAYMENT_STATUS_TRANSITIONS = {
+  pending: ['waiting', 'confirming', 'confirmed', 'partially_paid', 'finished', 'failed', 'expired'],
+  waiting: ['confirming', 'confirmed', 'partially_paid', 'finished', 'failed', 'expired'],
+  confirming: ['confirmed', 'sending', 'partially_paid', 'finished', 'failed'],
+  confirmed: ['sending', 'finished', 'failed'],
+  sending: ['finished', 'failed'],
+  partially_paid: ['confirming', 'confirmed', 'finished', 'failed', 'expired'],
+  finished: ['refunded'],
+  failed: [],
+  expired: [],
+  refunded: []
+};
+
+function verifySteSignature(req) {
+  return verifyTimestampedSignature(req, {
+    secret: steWebhookSecret,
+    timestampHeader: 'X-STE-Timestamp',
+    signatureHeader: 'X-STE-Signature',
+    toleranceSeconds: STE_WEBHOOK_TOLERANCE_SECONDS
+  });
+}
+
+// API endpoint to receive payment status updates from STE (Payment Gateway)
+app.post('/api/ste', async (req, res) => {
+  const signatureError = verifySteSignature(req);
+  if (signatureError) {
+    securityLogger.warn(`Rejected STE webhook from IP ${req.ip}: ${signatureError}`);
+    return res.status(401).json({ error: `Unauthorized: ${signatureError}` });
+  }
+
+  const { eventId, referenceId, status } = req.body;
+  if (!referenceId || !Object.prototype.hasOwnProperty.call(PAYMENT_STATUS_TRANSITIONS, status)) {
+    return res.status(400).json({ error: 'referenceId and a known status are required', statuses: Object.keys(PAYMENT_STATUS_TRANSITIONS) });
+  }
+  const eventKey = eventId ? String(eventId) : crypto.createHash('sha256').update(req.rawBody).digest('hex');
+
+  let payment;
+  let connection;
+  try {
+    connection = await pool.getConnection();
+    await connection.beginTransaction();
+
+    try {
+      await connection.execute(
+        "INSERT INTO payment_events (event_id, reference_id, status, outcome, payload) VALUES (?, ?, ?, 'received', ?)",
+        [eventKey, referenceId, status, req.rawBody.toString('utf8')]
+      );
+    } catch (error) {
+      if (error.code !== 'ER_DUP_ENTRY') {
+        throw error;
+      }
+      await connection.rollback();
+      logger.info(`Ignoring duplicate STE event ${eventKey} for reference ID: ${referenceId}`);
+      return res.json({ message: 'Event already processed', duplicate: true });
+    }
+
+    const [payments] = await connection.execute('SELECT * FROM payments WHERE reference_id = ? FOR UPDATE', [referenceId]);
+    if (payments.length === 0) {
+      await connection.rollback(); // Not logged, so a redelivery can succeed once the payment exists
+      logger.warn(`No payment found for reference ID: ${referenceId}`);
+      return res.status(404).json({ error: 'Payment not found' });
+    }
+    payment = payments[0];
+
+    const previousStatus = payment.payment_status;
+    const allowed = PAYMENT_STATUS_TRANSITIONS[previousStatus] || PAYMENT_STATUS_TRANSITIONS.pending;
+    let outcome = 'applied';
+    if (previousStatus === status) {
+      outcome = 'unchanged';
+    } else if (!allowed.includes(status)) {
+      outcome = 'rejected';
+    } else {
+      await connection.execute('UPDATE payments SET payment_status = ? WHERE reference_id = ?', [status, referenceId]);
+      payment.payment_status = status;
+    }
+
+    await connection.execute(
+      'UPDATE payment_events SET previous_status = ?, outcome = ? WHERE event_id = ?',
+      [previousStatus, outcome, eventKey]
+    );
+    await connection.commit();
+
+    if (outcome === 'rejected') {
+      logger.warn(`Ignored STE transition "${previousStatus}" -> "${status}" for reference ID: ${referenceId}`);
+      return res.json({ message: `Payment is already ${previousStatus}`, ignored: true });
+    }
+    if (outcome === 'unchanged') {
+      return res.json({ message: `Payment is already ${status}` });
+    }
+    logger.info(`Payment status updated from "${previousStatus}" to "${status}" for reference ID: ${referenceId}`);
+  } catch (error) {
+    if (connection) {
+      await connection.rollback().catch(rollbackError => logger.error(`Rollback failed: ${rollbackError.message}`));
+    }
+    logger.error(`Error updating payment status: ${error}`);
+    return res.status(500).json({ error: 'Failed to update payment status' });
+  } finally {
+    if (connection) {
+      connection.release();
+    }
+  }
+
+  if (status !== 'finished') {
+    return res.json({ message: 'Payment status updated successfully' });
+  }
+
+  // The payment is recorded either way; if applying it fails, the subscription lifecycle job retries
+  try {
+    await applySubscriptionPayment(payment);
+    const account = await getUserAccount(payment.email);
+    res.json({ message: 'Payment status updated successfully', plan: account ? account.plan.name : null });
+  } catch (error) {
+    logger.error(`Failed to apply payment ${referenceId} to ${payment.email}: ${error.message}`);
+    res.json({ message: 'Payment status updated successfully, plan change pending' });
+  }
+});
+
+// --- Encoding Status ---
+// After an upload the storage server encodes the file and reports each step to POST /api/storage/encoding.
+// Callbacks are signed like the STE webhook: X-Storage-Timestamp and X-Storage-Signature, keyed with
+// STORAGE_CALLBACK_SECRET (or STORAGE_SERVER_API_KEY). A file goes queued -> processing -> ready or failed.
+// The signed timestamp orders the callbacks, so one that arrives after a newer state is acknowledged and ignored.
+
+const storageCallbackSecret = process.env.STORAGE_CALLBACK_SECRET || process.env.STORAGE_SERVER_API_KEY;
+const STORAGE_CALLBACK_TOLERANCE_SECONDS = 300;
+const ENCODING_STATUS_ORDER = { queued: 0, processing: 1, ready: 2, failed: 2 }; // Breaks ties between callbacks sent in the same second
+const MAX_RENDITIONS = 20;
+const MAX_ENCODING_ERROR_LENGTH = 1024;
+
+// Encoding fields of a file_meta row, or null for files uploaded before encoding was tracked
+function formatEncoding(row) {
+  if (!row.encoding_status) {
+    return null;
+  }
+  return {
+    status: row.encoding_status,
+    progress: row.encoding_progress,
+    duration: row.duration_seconds === null ? null : Number(row.duration_seconds), // DECIMAL comes back as a string
+    width: row.width,
+    height: row.height,
+    renditions: row.renditions ? JSON.parse(row.renditions) : [],
+    error: row.encoding_error,
+    updatedAt: row.encoding_updated_at
+  };
+}
+
+function optionalNumber(value, { integer = false, min = 0, max = Infinity } = {}) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < min || number > max || (integer && !Number.isInteger(number))) {
+    return NaN;
+  }
+  return number;
+}
+
+// Validate a callback body; returns { token, status, columns } with the file_meta columns to set, or { error }
+function parseEncodingCallback(body) {
+  const { token, status } = body || {};
+  if (typeof token !== 'string' || !token || !Object.prototype.hasOwnProperty.call(ENCODING_STATUS_ORDER, status)) {
+    return { error: `token and a status of ${Object.keys(ENCODING_STATUS_ORDER).join(', ')} are required` };
+  }
+
+  if (status === 'queued') {
+    return {
+      token,
+      status,
+      columns: { encoding_progress: 0, duration_seconds: null, width: null, height: null, renditions: null, encoding_error: null }
+    };
+  }
+  if (status === 'processing') {
+    const progress = optionalNumber(body.progress, { max: 100 });
+    if (Number.isNaN(progress)) {
+      return { error: 'progress must be a number from 0 to 100' };
+    }
+    return { token, status, columns: { encoding_progress: progress === null ? null : Math.floor(progress), encoding_error: null } };
+  }
+  if (status === 'failed') {
+    const reason = typeof body.reason === 'string' && body.reason.trim() ? body.reason.trim() : 'Encoding failed';
+    return { token, status, columns: { encoding_error: reason.slice(0, MAX_ENCODING_ERROR_LENGTH) } };
+  }
+
+  // ready: width and height are absent for audio-only files
+  const duration = optionalNumber(body.duration);
+  const width = optionalNumber(body.width, { integer: true, min: 1 });
+  const height = optionalNumber(body.height, { integer: true, min: 1 });
+  if ([duration, width, height].some(Number.isNaN)) {
+    return { error: 'duration must be a non-negative number, width and height positive integers' };
+  }
+  const renditions = body.renditions === undefined ? [] : body.renditions;
+  if (!Array.isArray(renditions) || renditions.length > MAX_RENDITIONS) {
+    return { error: `renditions must be an array of at most ${MAX_RENDITIONS} entries` };
+  }
+  const parsedRenditions = [];
+  for (const rendition of renditions) {
+    const parsed = rendition && typeof rendition.name === 'string' && rendition.name.trim() && {
+      name: rendition.name.trim().slice(0, 64),
+      width: optionalNumber(rendition.width, { integer: true, min: 1 }),
+      height: optionalNumber(rendition.height, { integer: true, min: 1 }),
+      bitrate: optionalNumber(rendition.bitrate, { integer: true, min: 1 }) // Bits per second
+    };
+    if (!parsed || [parsed.width, parsed.height, parsed.bitrate].some(Number.isNaN)) {
+      return { error: 'Each rendition needs a name; width, height and bitrate must be positive integers' };
+    }
+    parsedRenditions.push(parsed);
+  }
+  return {
+    token,
+    status,
+    columns: {
+      encoding_progress: 100,
+      duration_seconds: duration,
+      width,
+      height,
+      renditions: JSON.stringify(parsedRenditions),
+      encoding_error: null
+    }
+  };
+}
+
+// API endpoint the storage server calls whenever a file's encoding state changes
+app.post('/api/storage/encoding', async (req, res) => {
+  const signatureError = verifyTimestampedSignature(req, {
+    secret: storageCallbackSecret,
+    timestampHeader: 'X-Storage-Timestamp',
+    signatureHeader: 'X-Storage-Signature',
+    toleranceSeconds: STORAGE_CALLBACK_TOLERANCE_SECONDS
+  });
+  if (signatureError) {
+    securityLogger.warn(`Rejected storage callback from IP ${req.ip}: ${signatureError}`);
+    return res.status(401).json({ error: `Unauthorized: ${signatureError}` });
+  }
+
+  const update = parseEncodingCallback(req.body);
+  if (update.error) {
+    return res.status(400).json({ error: update.error });
+  }
+  const { token, status, columns } = update;
+  const reportedAt = new Date(Number(req.get('X-Storage-Timestamp')) * 1000);
+
+  let connection;
+  try {
+    connection = await pool.getConnection();
+    await connection.beginTransaction();
+
+    const [rows] = await connection.execute(
+      'SELECT encoding_status, encoding_updated_at FROM file_meta WHERE token = ? FOR UPDATE',
+      [token]
+    );
+    if (rows.length === 0) {
+      await connection.rollback();
+      logger.warn(`Storage callback for unknown token ${token}`);
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    const { encoding_status: previousStatus, encoding_updated_at: previousAt } = rows[0];
+    const stale = previousAt && (previousAt > reportedAt ||
+      (previousAt.getTime() === reportedAt.getTime() && ENCODING_STATUS_ORDER[status] < (ENCODING_STATUS_ORDER[previousStatus] || 0)));
+    if (stale) {
+      await connection.rollback();
+      logger.info(`Ignoring stale "${status}" encoding callback for token ${token}, already "${previousStatus}"`);
+      return res.json({ message: `Encoding is already ${previousStatus}`, ignored: true });
+    }
+
+    const assignments = Object.keys(columns).map(column => `${column} = ?`);
+    await connection.execute(
+      `UPDATE file_meta SET encoding_status = ?, ${assignments.join(', ')}, encoding_updated_at = ? WHERE token = ?`,
+      [status, ...Object.values(columns), reportedAt, token]
+    );
+    await connection.commit();
+  } catch (error) {
+    if (connection) {
+      await connection.rollback().catch(rollbackError => logger.error(`Rollback failed: ${rollbackError.message}`));
+    }
+    logger.error(`Error updating encoding status for token ${token}: ${error.message}`);
+    return res.status(500).json({ error: 'Failed to update encoding status' });
+  } finally {
+    if (connection) {
+      connection.release();
+    }
+  }
+
+  if (status === 'failed') {
+    logger.warn(`Encoding failed for token ${token}: ${columns.encoding_error}`);
+  } else if (status !== 'processing') {
+    logger.info(`Encoding ${status} for token ${token}`);
+  }
+  res.json({ message: 'Encoding status updated' });
+});
+
+// --- Outbound Webhooks ---
+// Users register endpoints under /api/webhooks for the events in WEBHOOK_EVENTS. Each event is stored as one
+// webhook_deliveries row per subscribed endpoint and POSTed by the delivery worker as
+// { id, type, createdAt, data }. Requests are signed like the callbacks we receive: X-Vidplo-Timestamp and
+// X-Vidplo-Signature, the hex HMAC-SHA256 of "<timestamp>.<body>" keyed with the endpoint's secret. Anything
+// but a 2xx answer is retried after WEBHOOK_RETRY_DELAYS_MS; every delivery stays listed and can be redelivered.
+
+const WEBHOOK_EVENTS = ['file.uploaded', 'file.renamed', 'file.deleted', 'file.restored', 'file.privacy_changed', 'quota.exceeded'];
+const WEBHOOK_SECRET_PREFIX = 'whsec_';
+const MAX_WEBHOOK_ENDPOINTS = 10; // Per user
+const WEBHOOK_TIMEOUT_MS = 10 * 1000;
+const WEBHOOK_RETRY_DELAYS_MS = [1, 5, 30, 120, 360, 720].map(minutes => minutes * 60 * 1000); // Gives up after ~21 hours
+const WEBHOOK_LEASE_MS = 2 * WEBHOOK_TIMEOUT_MS; // A claimed delivery is retried if its worker dies mid-request
+const WEBHOOK_POLL_INTERVAL_MS = 30 * 1000;
+const WEBHOOK_BATCH_SIZE = 20;
+const WEBHOOK_CONCURRENCY = 5;
+let webhookWorkerActive = false;
+
+function formatWebhookEndpoint(row) {
+  return {
+    id: row.id,
+    url: row.url,
+    description: row.description,
+    events: JSON.parse(row.events),
+    active: Boolean(row.active),
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+function formatWebhookDelivery(row) {
+  return {
+    id: row.id,
+    eventId: row.event_id,
+    event: row.event_type,
+    status: row.status,
+    attempts: row.attempts,
+    lastStatusCode: row.last_status_code,
+    lastError: row.last_error,
+    nextAttemptAt: row.status === 'pending' ? row.next_attempt_at : null,
+    createdAt: row.created_at,
+    deliveredAt: row.delivered_at,
+    payload: JSON.parse(row.payload)
+  };
+}
+
+function validateWebhookUrl(url) {
+  try {
+    const parsed = new URL(url);
+    return ['http:', 'https:'].includes(parsed.protocol) && url.length <= 2048 ? null : 'url must be an http(s) URL of at most 2048 characters';
+  } catch (error) {
+    return 'url must be an http(s) URL of at most 2048 characters';
+  }
+}
+
+// Webhooks are sent from inside our network, so they must not reach loopback, private (RFC1918, CGNAT),
+// link-local (including the 169.254.169.254 cloud metadata address), unique-local or other reserved addresses.
+// IPv4-mapped IPv6 addresses are matched against the IPv4 ranges by BlockList.
+const NON_PUBLIC_ADDRESSES = new net.BlockList();
+[['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12],
+  ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]]
+  .forEach(([network, prefix]) => NON_PUBLIC_ADDRESSES.addSubnet(network, prefix, 'ipv4'));
+[['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]
+  .forEach(([network, prefix]) => NON_PUBLIC_ADDRESSES.addSubnet(network, prefix, 'ipv6'));
+
+function isPublicAddress(address) {
+  const family = net.isIP(address);
+  return family !== 0 && !NON_PUBLIC_ADDRESSES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+function webhookHostname(url) {
+  return new URL(url).hostname.replace(/^\[|\]$/g, ''); // IPv6 literals come bracketed
+}
+
+// Check where a webhook url points when it is registered; returns an error message or null. Deliveries check
+// again when they connect (webhookLookup), since the hostname can be re-pointed later.
+async function validateWebhookDestination(url) {
+  const hostname = webhookHostname(url);
+  let addresses = [{ address: hostname }];
+  if (!net.isIP(hostname)) {
+    try {
+      addresses = await dns.promises.lookup(hostname, { all: true });
+    } catch (error) {
+      return `url host ${hostname} could not be resolved`;
+    }
+  }
+  return addresses.every(({ address }) => isPublicAddress(address))
+    ? null
+    : 'url must not point to a loopback, private or link-local address';
+}
+
+// dns.lookup for webhook connections that refuses non-public addresses, so a hostname re-pointed at an internal
+// address after registration (DNS rebinding) is caught on the address actually connected to
+function webhookLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) {
+      return callback(error);
+    }
+    const blocked = addresses.find(({ address }) => !isPublicAddress(address));
+    if (blocked) {
+      return callback(Object.assign(new Error(`${hostname} resolves to a non-public address (${blocked.address})`), { code: 'EADDRNOTPUBLIC' }));
+    }
+    if (options.all) {
+      return callback(null, addresses);
+    }
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+const webhookHttpAgent = new http.Agent({ lookup: webhookLookup });
+const webhookHttpsAgent = new https.Agent({ lookup: webhookLookup });
+
+function validateWebhookEvents(events) {
+  if (!Array.isArray(events) || events.length === 0 || !events.every(event => WEBHOOK_EVENTS.includes(event))) {
+    return `events must be a non-empty list of: ${WEBHOOK_EVENTS.join(', ')}`;
+  }
+  return null;
+}
+
+function generateWebhookSecret() {
+  return WEBHOOK_SECRET_PREFIX + crypto.randomBytes(32).toString('base64url');
+}
+
+// Queue `type` for every active endpoint of the user that subscribed to it. Never throws: a failure to record
+// an event is logged and must not fail the request that caused it.
+async function emitWebhookEvent(userEmail, type, data) {
+  try {
+    const [endpoints] = await pool.execute('SELECT id, events FROM webhook_endpoints WHERE user_email = ? AND active = TRUE', [userEmail]);
+    const subscribed = endpoints.filter(endpoint => JSON.parse(endpoint.events).includes(type));
+    if (subscribed.length === 0) {
+      return;
+    }
+
+    const event = { id: uuidv4(), type, createdAt: new Date().toISOString(), data };
+    const payload = JSON.stringify(event);
+    await pool.query(
+      'INSERT INTO webhook_deliveries (id, endpoint_id, event_id, event_type, payload) VALUES ?',
+      [subscribed.map(endpoint => [uuidv4(), endpoint.id, event.id, type, payload])]
+    );
+    setImmediate(deliverPendingWebhooks); // Send now rather than on the next poll
+  } catch (error) {
+    logger.error(`Failed to queue webhook event ${type} for ${userEmail}: ${error.message}`);
+  }
+}
+
+// Emit the events that follow from an upload result (processUpload / recordUpload / checkUploadAgainstPlan)
+function emitUploadEvents(userEmail, result) {
+  if (result.status === 200 && !result.body.duplicate) {
+    const { token, filename, size, privacy, container } = result.body;
+    emitWebhookEvent(userEmail, 'file.uploaded', { token, fileName: filename, size, privacy, container });
+  } else if (result.quotaExceeded) {
+    emitWebhookEvent(userEmail, 'quota.exceeded', result.body);
+  }
+}
+
+// POST one delivery and record the outcome; `delivery` carries the endpoint's url and secret
+async function attemptWebhookDelivery(delivery) {
+  const timestamp = Math.floor(Date.now() / 1000);
+  const signature = crypto.createHmac('sha256', delivery.secret).update(`${timestamp}.${delivery.payload}`).digest('hex');
+
+  let statusCode = null;
+  let failure = null;
+  try {
+    const hostname = webhookHostname(delivery.url);
+    if (net.isIP(hostname) && !isPublicAddress(hostname)) { // Literal addresses never go through webhookLookup
+      throw new Error(`${hostname} is not a public address`);
+    }
+    const response = await axios.post(delivery.url, delivery.payload, {
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'Vidplo-Webhooks/1.0',
+        'X-Vidplo-Event': delivery.event_type,
+        'X-Vidplo-Delivery': delivery.id,
+        'X-Vidplo-Timestamp': String(timestamp),
+        'X-Vidplo-Signature': signature
+      },
+      timeout: WEBHOOK_TIMEOUT_MS,
+      maxRedirects: 0, // A redirect is reported as a failure rather than followed
+      httpAgent: webhookHttpAgent,
+      httpsAgent: webhookHttpsAgent,
+      proxy: false, // Connect directly, so webhookLookup sees the real destination
+      transformRequest: [body => body], // Send the signed string as is
+      validateStatus: () => true
+    });
+    statusCode = response.status;
+    if (statusCode < 200 || statusCode >= 300) {
+      failure = `HTTP ${statusCode}`;
+    }
+  } catch (error) {
+    failure = error.message || error.code || 'Request failed';
+  }
+
+  if (!failure) {
+    await pool.execute(
+      "UPDATE webhook_deliveries SET status = 'succeeded', last_status_code = ?, last_error = NULL, delivered_at = NOW() WHERE id = ?",
+      [statusCode, delivery.id]
+    );
+    return;
+  }
+
+  const retryDelay = WEBHOOK_RETRY_DELAYS_MS[delivery.attempts - 1]; // attempts already counts this one
+  await pool.execute(
+    'UPDATE webhook_deliveries SET status = ?, last_status_code = ?, last_error = ?, next_attempt_at = ? WHERE id = ?',
+    [
+      retryDelay === undefined ? 'failed' : 'pending',
+      statusCode,
+      failure.slice(0, 1024),
+      retryDelay === undefined ? null : new Date(Date.now() + retryDelay),
+      delivery.id
+    ]
+  );
+  logger.warn(`Webhook delivery ${delivery.id} (${delivery.event_type}) to endpoint ${delivery.endpoint_id} failed on attempt ${delivery.attempts}: ${failure}`);
+}
+
+// Send due deliveries until none are left. Each is claimed by bumping `attempts` with a conditional UPDATE,
+// which also pushes next_attempt_at out by a lease so other instances leave it alone while it is in flight.
+async function deliverPendingWebhooks() {
+  if (webhookWorkerActive) {
+    return;
+  }
+  webhookWorkerActive = true;
+  try {
+    for (;;) {
+      const [due] = await pool.execute(
+        `SELECT d.id, d.endpoint_id, d.event_type, d.payload, d.attempts, e.url, e.secret
+         FROM webhook_deliveries d
+         JOIN webhook_endpoints e ON e.id = d.endpoint_id
+         WHERE d.status = 'pending' AND d.next_attempt_at <= NOW() AND e.active = TRUE
+         ORDER BY d.next_attempt_at
+         LIMIT ${WEBHOOK_BATCH_SIZE}`
+      );
+      if (due.length === 0) {
+        break;
+      }
+
+      const claimed = [];
+      for (const delivery of due) {
+        const [result] = await pool.execute(
+          "UPDATE webhook_deliveries SET attempts = attempts + 1, next_attempt_at = ? WHERE id = ? AND status = 'pending' AND attempts = ?",
+          [new Date(Date.now() + WEBHOOK_LEASE_MS), delivery.id, delivery.attempts]
+        );
+        if (result.affectedRows === 1) { // Otherwise another instance claimed it first
+          claimed.push({ ...delivery, attempts: delivery.attempts + 1 });
+        }
+      }
+      await mapWithConcurrency(claimed, WEBHOOK_CONCURRENCY, attemptWebhookDelivery);
+    }
+  } catch (error) {
+    logger.error(`Webhook delivery worker failed: ${error.message}`);
+  } finally {
+    webhookWorkerActive = false;
+  }
+}
+
+async function findOwnedWebhookEndpoint(id, userEmail) {
+  const [rows] = await pool.execute('SELECT * FROM webhook_endpoints WHERE id = ? AND user_email = ?', [id, userEmail]);
+  return rows[0] || null;
+}
+
+// API endpoint to list the caller's webhook endpoints (without their secrets)
+app.get('/api/webhooks', authenticateRequest, requireUser, async (req, res) => {
+  try {
+    const [rows] = await pool.execute('SELECT * FROM webhook_endpoints WHERE user_email = ? ORDER BY created_at', [req.user.email]);
+    res.json({ endpoints: rows.map(formatWebhookEndpoint), events: WEBHOOK_EVENTS });
+  } catch (error) {
+    logger.error(`Error listing webhook endpoints: ${error.message}`);
+    res.status(500).json({ error: 'Failed to list webhook endpoints' });
+  }
+});
+
+// API endpoint to register a webhook endpoint; its signing secret is only returned here and on rotation
+app.post('/api/webhooks', authenticateRequest, requireUser, async (req, res) => {
+  const { url, events } = req.body;
+  const validationError = validateWebhookUrl(url) || validateWebhookEvents(events);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+  const destinationError = await validateWebhookDestination(url);
+  if (destinationError) {
+    return res.status(400).json({ error: destinationError });
+  }
+  const description = typeof req.body.description === 'string' ? req.body.description.trim().slice(0, 255) || null : null;
+
+  try {
+    const [[{ count }]] = await pool.execute('SELECT COUNT(*) AS count FROM webhook_endpoints WHERE user_email = ?', [req.user.email]);
+    if (count >= MAX_WEBHOOK_ENDPOINTS) {
+      return res.status(409).json({ error: `At most ${MAX_WEBHOOK_ENDPOINTS} webhook endpoints can be registered` });
+    }
+
+    const secret = generateWebhookSecret();
+    const [result] = await pool.execute(
+      'INSERT INTO webhook_endpoints (user_email, url, description, events, secret) VALUES (?, ?, ?, ?, ?)',
+      [req.user.email, url, description, JSON.stringify([...new Set(events)]), secret]
+    );
+    logger.info(`Webhook endpoint ${result.insertId} registered by ${req.user.email}`);
+    const endpoint = await findOwnedWebhookEndpoint(result.insertId, req.user.email);
+    res.status(201).json({ ...formatWebhookEndpoint(endpoint), secret });
+  } catch (error) {
+    logger.error(`Error registering webhook endpoint: ${error.message}`);
+    res.status(500).json({ error: 'Failed to register webhook endpoint' });
+  }
+});
+
+// API endpoint to change an endpoint's url, events, description or active flag, or rotate its secret
+app.patch('/api/webhooks/:id', authenticateRequest, requireUser, async (req, res) => {
+  const { url, events, description, active, rotateSecret } = req.body;
+  const updates = {};
+  if (url !== undefined) {
+    const urlError = validateWebhookUrl(url) || await validateWebhookDestination(url);
+    if (urlError) {
+      return res.status(400).json({ error: urlError });
+    }
+    updates.url = url;
+  }
+  if (events !== undefined) {
+    const eventsError = validateWebhookEvents(events);
+    if (eventsError) {
+      return res.status(400).json({ error: eventsError });
+    }
+    updates.events = JSON.stringify([...new Set(events)]);
+  }
+  if (description !== undefined) {
+    updates.description = typeof description === 'string' ? description.trim().slice(0, 255) || null : null;
+  }
+  if (active !== undefined) {
+    if (typeof active !== 'boolean') {
+      return res.status(400).json({ error: 'active must be true or false' });
+    }
+    updates.active = active;
+  }
+  const secret = rotateSecret === true ? generateWebhookSecret() : undefined;
+  if (secret) {
+    updates.secret = secret;
+  }
+  if (Object.keys(updates).length === 0) {
+    return res.status(400).json({ error: 'Nothing to update' });
+  }
+
+  try {
+    const [result] = await pool.execute(
+      `UPDATE webhook_endpoints SET ${Object.keys(updates).map(column => `${column} = ?`).join(', ')} WHERE id = ? AND user_email = ?`,
+      [...Object.values(updates), req.params.id, req.user.email]
+    );
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ error: 'Webhook endpoint not found' });
+    }
+    if (active === true) {
+      setImmediate(deliverPendingWebhooks); // Catch up on deliveries held while it was inactive
+    }
+    const endpoint = await findOwnedWebhookEndpoint(req.params.id, req.user.email);
+    res.json(secret ? { ...formatWebhookEndpoint(endpoint), secret } : formatWebhookEndpoint(endpoint));
+  } catch (error) {
+    logger.error(`Error updating webhook endpoint ${req.params.id}: ${error.message}`);
+    res.status(500).json({ error: 'Failed to update webhook endpoint' });
+  }
+});
+
+// API endpoint to remove a webhook endpoint together with its delivery log
+app.delete('/api/webhooks/:id', authenticateRequest, requireUser, async (req, res) => {
+  try {
+    const [result] = await pool.execute('DELETE FROM webhook_endpoints WHERE id = ? AND user_email = ?', [req.params.id, req.user.email]);
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ error: 'Webhook endpoint not found' });
+    }
+    await pool.execute('DELETE FROM webhook_deliveries WHERE endpoint_id = ?', [req.params.id]);
+    logger.info(`Webhook endpoint ${req.params.id} removed by ${req.user.email}`);
+    res.json({ message: 'Webhook endpoint removed' });
+  } catch (error) {
+    logger.error(`Error removing webhook endpoint ${req.params.id}: ${error.message}`);
+    res.status(500).json({ error: 'Failed to remove webhook endpoint' });
+  }
+});
+
+// API endpoint to list an endpoint's deliveries, newest first
+// Query (optional): limit (default 50, at most 200), status (pending|succeeded|failed)
+app.get('/api/webhooks/:id/deliveries', authenticateRequest, requireUser, async (req, res) => {
+  const limit = Math.max(1, Math.min(parseInt(req.query.limit, 10) || 50, 200));
+  const { status } = req.query;
+  if (status && !['pending', 'succeeded', 'failed'].includes(status)) {
+    return res.status(400).json({ error: 'status must be "pending", "succeeded" or "failed"' });
+  }
+
+  try {
+    if (!(await findOwnedWebhookEndpoint(req.params.id, req.user.email))) {
+      return res.status(404).json({ error: 'Webhook endpoint not found' });
+    }
+    const [rows] = await pool.query(
+      `SELECT * FROM webhook_deliveries WHERE endpoint_id = ?${status ? ' AND status = ?' : ''} ORDER BY created_at DESC LIMIT ?`,
+      status ? [req.params.id, status, limit] : [req.params.id, limit]
+    );
+    res.json({ deliveries: rows.map(formatWebhookDelivery) });
+  } catch (error) {
+    logger.error(`Error listing webhook deliveries for endpoint ${req.params.id}: ${error.message}`);
+    res.status(500).json({ error: 'Failed to list webhook deliveries' });
+  }
+});
+
+// API endpoint to send a logged event again, as a new delivery with the same event id
+app.post('/api/webhooks/:id/deliveries/:deliveryId/redeliver', authenticateRequest, requireUser, async (req, res) => {
+  try {
+    if (!(await findOwnedWebhookEndpoint(req.params.id, req.user.email))) {
+      return res.status(404).json({ error: 'Webhook endpoint not found' });
+    }
+    const [rows] = await pool.execute(
+      'SELECT event_id, event_type, payload FROM webhook_deliveries WHERE id = ? AND endpoint_id = ?',
+      [req.params.deliveryId, req.params.id]
+    );
+    if (rows.length === 0) {
+      return res.status(404).json({ error: 'Delivery not found' });
+    }
+
+    const id = uuidv4();
+    await pool.execute(
+      'INSERT INTO webhook_deliveries (id, endpoint_id, event_id, event_type, payload) VALUES (?, ?, ?, ?, ?)',
+      [id, req.params.id, rows[0].event_id, rows[0].event_type, rows[0].payload]
+    );
+    setImmediate(deliverPendingWebhooks);
+    const [[delivery]] = await pool.execute('SELECT * FROM webhook_deliveries WHERE id = ?', [id]);
+    res.status(202).json(formatWebhookDelivery(delivery));
+  } catch (error) {
+    logger.error(`Error redelivering webhook delivery ${req.params.deliveryId}: ${error.message}`);
+    res.status(500).json({ error: 'Failed to redeliver webhook' });
+  }
+});
+
+// --- View Tracking ---
+// The player calls POST /api/views/:token once playback starts. Each counted view is stored in view_events
+// for the analytics series, and file_meta.views is kept as the fast running total.
+
+const VIEW_DEDUP_WINDOW_SECONDS = parseInt(process.env.VIEW_DEDUP_WINDOW_MINUTES, 10) * 60 || 30 * 60; // Same viewer counts once per 30 minutes by default
+const VIEW_HASH_SALT = process.env.VIEW_HASH_SALT || ''; // Viewer identities are only stored as salted hashes
+const BOT_USER_AGENT_PATTERN = /bot|crawl|spider|slurp|preview|facebookexternalhit|headless|phantom|lighthouse|curl|wget|python-requests|go-http-client|java\/|okhttp|axios|node-fetch/i;
+const MAX_ANALYTICS_RANGE_DAYS = 366;
+const MAX_HOURLY_RANGE_DAYS = 31; // Hourly series are only returned for ranges up to a month
+
+function viewerHash(req, viewerId) {
+  const viewerKey = req.user
+    ? `user:${req.user.email}`
+    : `${req.ip}|${req.get('user-agent')}|${viewerId || ''}`; // A client id alone would be trivial to rotate
+  return crypto.createHash('sha256').update(VIEW_HASH_SALT + viewerKey).digest('hex');
+}
+
+function referrerHost(referrer) {
+  if (!referrer) {
+    return null;
+  }
+  try {
+    return new URL(referrer).hostname.toLowerCase().slice(0, 255) || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// API endpoint for the player to record a view
+// Body (optional): { viewerId, referrer } - the embedding page's referrer if the player runs in an iframe
+app.post('/api/views/:token', authenticateRequest, optionalUser, requireFileAccess, async (req, res) => {
+  const { token } = req.params;
+  const { viewerId, referrer } = req.body || {};
+  const userAgent = req.get('user-agent') || '';
+
+  if (!userAgent || BOT_USER_AGENT_PATTERN.test(userAgent)) {
+    return res.json({ counted: false, reason: 'bot' });
+  }
+
+  // The file's row is locked while the viewer is checked and the view recorded, so two beacons from the same
+  // viewer arriving together can't both be counted
+  let connection;
+  try {
+    connection = await pool.getConnection();
+    await connection.beginTransaction();
+    const [fileRows] = await connection.execute(
+      'SELECT fm.views FROM file_meta fm JOIN file_tokens ft ON ft.token = fm.token WHERE fm.token = ? AND ft.deleted_at IS NULL FOR UPDATE',
+      [token]
+    );
+    if (fileRows.length === 0) {
+      await connection.rollback();
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    const hash = viewerHash(req, viewerId);
+    const [recent] = await connection.execute(
+      'SELECT 1 FROM view_events WHERE token = ? AND viewer_hash = ? AND created_at > NOW() - INTERVAL ? SECOND LIMIT 1',
+      [token, hash, VIEW_DEDUP_WINDOW_SECONDS]
+    );
+    if (recent.length > 0) {
+      await connection.rollback();
+      return res.json({ counted: false, reason: 'duplicate', views: fileRows[0].views || 0 });
+    }
+
+    await connection.execute(
+      'INSERT INTO view_events (token, viewer_hash, referrer_host) VALUES (?, ?, ?)',
+      [token, hash, referrerHost(referrer || req.get('referer'))]
+    );
+    await connection.execute('UPDATE file_meta SET views = views + 1 WHERE token = ?', [token]);
+    await connection.commit();
+
+    res.json({ counted: true, views: (fileRows[0].views || 0) + 1 });
+  } catch (error) {
+    if (connection) {
+      await connection.rollback().catch(rollbackError => logger.error(`Rollback failed: ${rollbackError.message}`));
+    }
+    logger.error(`Error recording view: ${error.message}`);
+    res.status(500).json({ error: 'Failed to record view' });
+  } finally {
+    if (connection) {
+      connection.release();
+    }
+  }
+});
+
+// Parse the from/to query range, defaulting to the last 30 days; returns null if invalid
+function parseAnalyticsRange(query) {
+  const to = query.to ? new Date(query.to) : new Date();
+  const from = query.from ? new Date(query.from) : new Date(to.getTime() - 30 * 24 * 60 * 60 * 1000);
+  if (isNaN(from) || isNaN(to) || from >= to) {
+    return null;
+  }
+  if (to - from > MAX_ANALYTICS_RANGE_DAYS * 24 * 60 * 60 * 1000) {
+    return null;
+  }
+  return { from, to };
+}
+
+// API endpoint to get file analytics (views, privacy, size, and view series for a date range)
+// Query (optional): from, to - ISO dates, default to the last 30 days
+app.get('/api/file-analytics/:token', authenticateRequest, requireUser, async (req, res) => {
+  const { token } = req.params;
+  const range = parseAnalyticsRange(req.query);
+
+  if (!range) {
+    return res.status(400).json({ error: `from must be before to, and the range at most ${MAX_ANALYTICS_RANGE_DAYS} days` });
+  }
+
+  try {
+    if (!await findOwnedFile(token, req.user.email)) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    // Fetch analytics data from file_meta table
+    const [fileMetaData] = await pool.execute(
+      `SELECT fm.views, fm.privacy, fm.size, ${ENCODING_COLUMNS} FROM file_meta fm WHERE fm.token = ?`,
+      [token]
+    );
+
+    if (fileMetaData.length === 0) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    const rangeParams = [token, range.from, range.to];
+    const rangeFilter = 'token = ? AND created_at >= ? AND created_at < ?';
+
+    const [[totals]] = await pool.execute(
+      `SELECT COUNT(*) AS views, COUNT(DISTINCT viewer_hash) AS uniqueViewers FROM view_events WHERE ${rangeFilter}`,
+      rangeParams
+    );
+    const [daily] = await pool.execute(
+      `SELECT DATE_FORMAT(created_at, '%Y-%m-%d') AS bucket, COUNT(*) AS views, COUNT(DISTINCT viewer_hash) AS uniqueViewers
+       FROM view_events WHERE ${rangeFilter} GROUP BY bucket ORDER BY bucket`,
+      rangeParams
+    );
+    let hourly = null;
+    if (range.to - range.from <= MAX_HOURLY_RANGE_DAYS * 24 * 60 * 60 * 1000) {
+      [hourly] = await pool.execute(
+        `SELECT DATE_FORMAT(created_at, '%Y-%m-%d %H:00') AS bucket, COUNT(*) AS views, COUNT(DISTINCT viewer_hash) AS uniqueViewers
+         FROM view_events WHERE ${rangeFilter} GROUP BY bucket ORDER BY bucket`,
+        rangeParams
+      );
+    }
+    const [referrers] = await pool.execute(
+      `SELECT COALESCE(referrer_host, 'direct') AS host, COUNT(*) AS views
+       FROM view_events WHERE ${rangeFilter} GROUP BY host ORDER BY views DESC LIMIT 20`,
+      rangeParams
+    );
+
+    const toSeries = rows => rows.map(row => ({ period: row.bucket, views: Number(row.views), uniqueViewers: Number(row.uniqueViewers) }));
+    res.json({
+      views: fileMetaData[0].views || 0,
+      privacy: fileMetaData[0].privacy,
+      size: fileMetaData[0].size,
+      encoding: formatEncoding(fileMetaData[0]),
+      range: { from: range.from.toISOString(), to: range.to.toISOString() },
+      rangeViews: Number(totals.views),
+      uniqueViewers: Number(totals.uniqueViewers),
+      daily: toSeries(daily),
+      hourly: hourly && toSeries(hourly),
+      referrers: referrers.map(row => ({ host: row.host, views: Number(row.views) }))
+    });
+
+  } catch (error) {
+    logger.error(`Error fetching file analytics: ${error.message}`, { stack: error.stack });
+    res.status(500).json({ error: 'Failed to fetch analytics data' });
+  }
+});
+
+// --- Storage Usage Reconciliation ---
+// users.storage_used is maintained by deltas, so it drifts whenever a step fails part-way. Reconciliation
+// recomputes each user's usage from file_tokens.file_size, compares the tokens against the storage inventory
+// and, when `fix` is set, corrects storage_used and removes file_meta rows left behind by deletes.
+// Every user with a difference gets a storage_audit row, whether or not it was corrected.
+
+const RECONCILE_INTERVAL_MS = (parseFloat(process.env.RECONCILE_INTERVAL_HOURS || '24')) * 60 * 60 * 1000; // 0 disables the scheduled run
+const RECONCILE_AUTO_FIX = process.env.RECONCILE_AUTO_FIX === 'true'; // Scheduled runs only report unless enabled
+
+// Compare the database tokens of one user with what storage holds
+async function compareWithInventory(userEmail, dbFiles) {
+  const remoteFiles = await storage.listFiles(userEmail);
+  const remoteByToken = new Map(remoteFiles.map(file => [file.token, file]));
+  const dbTokens = new Set(dbFiles.map(file => file.token));
+
+  return {
+    missingRemote: dbFiles.filter(file => !remoteByToken.has(file.token)).map(file => file.token),
+    orphanedRemote: remoteFiles.filter(file => !dbTokens.has(file.token)).map(file => file.token),
+    sizeMismatches: dbFiles
+      .filter(file => remoteByToken.has(file.token) && remoteByToken.get(file.token).size != null &&
+        Number(remoteByToken.get(file.token).size) !== Number(file.file_size))
+      .map(file => ({ token: file.token, recorded: file.file_size, stored: Number(remoteByToken.get(file.token).size) }))
+  };
+}
+
+async function reconcileUser(userEmail, { fix, checkInventory, runId, triggeredBy }) {
+  let previousUsage;
+  let computedUsage;
+  let dbFiles;
+  let corrected = false;
+
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+
+    // Lock the user row so concurrent uploads and deletes wait for the correction instead of racing it
+    const [userRows] = await connection.execute(
+      'SELECT storage_used FROM users WHERE email = ? FOR UPDATE',
+      [userEmail]
+    );
+    if (userRows.length === 0) {
+      await connection.rollback();
+      return null;
+    }
+    [dbFiles] = await connection.execute(
+      'SELECT token, file_size, usage_released FROM file_tokens WHERE user_email = ?',
+      [userEmail]
+    );
+
+    previousUsage = Number(userRows[0].storage_used) || 0;
+    computedUsage = dbFiles // Trashed files stay in storage, but only count while their usage wasn't released
+      .filter(file => !file.usage_released)
+      .reduce((sum, file) => sum + (Number(file.file_size) || 0), 0);
+
+    if (fix && computedUsage !== previousUsage) {
+      await connection.execute('UPDATE users SET storage_used = ? WHERE email = ?', [computedUsage, userEmail]);
+      corrected = true;
+    }
+    await connection.commit();
+  } catch (error) {
+    await connection.rollback().catch(rollbackError => logger.error(`Rollback failed: ${rollbackError.message}`));
+    throw error;
+  } finally {
+    connection.release();
+  }
+
+  const delta = computedUsage - previousUsage;
+
+  // The storage call happens after the row lock is released
+  let inventory = null;
+  let inventoryError = null;
+  let inventoryUnavailable = false;
+  if (checkInventory) {
+    try {
+      inventory = await compareWithInventory(userEmail, dbFiles);
+    } catch (error) {
+      inventoryError = error.message;
+      inventoryUnavailable = error.code === 'INVENTORY_UNAVAILABLE';
+    }
+  }
+  const inventoryDiffers = Boolean(inventory) && (inventory.missingRemote.length > 0 ||
+    inventory.orphanedRemote.length > 0 || inventory.sizeMismatches.length > 0);
+
+  if (delta !== 0 || inventoryDiffers) {
+    await pool.execute(
+      `INSERT INTO storage_audit (run_id, user_email, previous_usage, computed_usage, delta, corrected, triggered_by, details)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [runId, userEmail, previousUsage, computedUsage, delta, corrected, triggeredBy, inventoryDiffers ? JSON.stringify(inventory) : null]
+    );
+  }
+
+  return { userEmail, previousUsage, computedUsage, delta, corrected, inventory, inventoryDiffers, inventoryError, inventoryUnavailable };
+}
+
+async function reconcileStorageUsage({ fix = false, userEmail = null, checkInventory = true, triggeredBy }) {
+  const runId = uuidv4();
+  const [users] = userEmail
+    ? await pool.execute('SELECT email FROM users WHERE email = ?', [userEmail])
+    : await pool.execute('SELECT email FROM users ORDER BY email');
+
+  const results = [];
+  let inventoryUnavailable = null; // Error message once storage showed it has no usable inventory
+  for (const { email } of users) {
+    const result = await reconcileUser(email, { fix, checkInventory: checkInventory && !inventoryUnavailable, runId, triggeredBy });
+    if (result) {
+      if (result.inventoryUnavailable) { // Reported once for the run instead of for every user
+        inventoryUnavailable = result.inventoryError;
+        result.inventoryError = null;
+      }
+      delete result.inventoryUnavailable;
+      results.push(result);
+    }
+  }
+  if (inventoryUnavailable) {
+    logger.warn(`Storage reconciliation ${runId}: inventory not checked, ${inventoryUnavailable}`);
+  }
+
+  // file_meta rows whose token no longer exists, e.g. after /request/delete/:token
+  const [orphanedMeta] = await pool.execute(
+    'SELECT fm.token FROM file_meta fm LEFT JOIN file_tokens ft ON ft.token = fm.token WHERE ft.token IS NULL'
+  );
+  if (fix && orphanedMeta.length > 0) {
+    await pool.query('DELETE FROM file_meta WHERE token IN (?)', [orphanedMeta.map(row => row.token)]);
+  }
+
+  const drifted = results.filter(result => result.delta !== 0);
+  for (const result of drifted) {
+    logger.info(`Storage reconciliation ${runId}: ${result.userEmail} recorded ${result.previousUsage}, computed ${result.computedUsage} (${result.delta > 0 ? '+' : ''}${result.delta})${result.corrected ? ', corrected' : ''}`);
+  }
+
+  return {
+    runId,
+    triggeredBy,
+    fixed: fix,
+    checkedUsers: results.length,
+    usersWithDrift: drifted.length,
+    totalDelta: drifted.reduce((sum, result) => sum + result.delta, 0),
+    orphanedMetadata: orphanedMeta.length,
+    inventory: !checkInventory ? { status: 'skipped' }
+      : inventoryUnavailable ? { status: 'unavailable', error: inventoryUnavailable }
+        : { status: 'checked', failedUsers: results.filter(result => result.inventoryError).length },
+    users: results.filter(result => result.delta !== 0 || result.inventoryDiffers || result.inventoryError)
+  };
+}
+
+// Admin endpoint to run a reconciliation now; reports only unless "fix" is true
+app.post('/api/admin/reconcile-storage', requireAdmin, async (req, res) => {
+  const { fix = false, userEmail = null, checkInventory = true } = req.body || {};
+
+  try {
+    const report = await reconcileStorageUsage({
+      fix: fix === true,
+      userEmail,
+      checkInventory: checkInventory !== false,
+      triggeredBy: req.admin.id
+    });
+    await recordAdminAction(req, 'storage.reconciled', {
+      targetEmail: userEmail,
+      details: { runId: report.runId, fixed: report.fixed, usersWithDrift: report.usersWithDrift, totalDelta: report.totalDelta }
+    });
+    res.json(report);
+  } catch (error) {
+    logger.error(`Error reconciling storage usage: ${error.message}`);
+    res.status(500).json({ error: 'Failed to reconcile storage usage', details: error.message });
+  }
+});
+
+// Admin endpoint to read the reconciliation audit trail, newest first
+app.get('/api/admin/storage-audit', requireAdmin, async (req, res) => {
+  const limit = Math.max(1, Math.min(parseInt(req.query.limit, 10) || 100, 1000));
+  const conditions = [];
+  const params = [];
+  if (req.query.userEmail) {
+    conditions.push('user_email = ?');
+    params.push(req.query.userEmail);
+  }
+  if (req.query.runId) {
+    conditions.push('run_id = ?');
+    params.push(req.query.runId);
+  }
+
+  try {
+    const [rows] = await pool.query(
+      `SELECT * FROM storage_audit ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''} ORDER BY id DESC LIMIT ?`,
+      [...params, limit]
+    );
+    res.json(rows.map(row => ({
+      id: row.id,
+      runId: row.run_id,
+      userEmail: row.user_email,
+      previousUsage: row.previous_usage,
+      computedUsage: row.computed_usage,
+      delta: row.delta,
+      corrected: Boolean(row.corrected),
+      triggeredBy: row.triggered_by,
+      details: row.details ? JSON.parse(row.details) : null,
+      createdAt: row.created_at
+    })));
+  } catch (error) {
+    logger.error(`Error reading storage audit: ${error.message}`);
+    res.status(500).json({ error: 'Failed to read storage audit' });
+  }
+});
+
+// Admin endpoint to re-run the legacy JSON metadata import (it also runs at startup)
+app.post('/api/admin/import-legacy-metadata', requireAdmin, async (req, res) => {
+  try {
+    const report = await importLegacyMetadata();
+    await recordAdminAction(req, 'legacy_metadata.imported', { details: report });
+    res.json(report);
+  } catch (error) {
+    logger.error(`Error importing legacy metadata: ${error.message}`);
+    res.status(500).json({ error: 'Failed to import legacy metadata', details: error.message });
+  }
+});
+
+// --- Admin API ---
+// Support tools behind requireAdmin (ADMIN_API_KEY or an admin JWT): search users, look at their usage and
+// files, override their plan or storage limit, suspend accounts and list payments. An admin's storage limit
+// override replaces the plan's limit until it is cleared, including across plan changes and payments. Suspended
+// accounts can't upload or download (see suspendedRejection); everything else keeps working. Every admin action
+// that changes something is written to admin_audit_log, in the same transaction as the change where there is one.
+
+const MAX_ADMIN_REASON_LENGTH = 1024;
+const MAX_ADMIN_PAGE_SIZE = 500;
+
+// Write an audit log entry for the admin making `req`; pass the transaction's connection as `db`
+async function recordAdminAction(req, action, { targetEmail = null, reason = null, details = null } = {}, db = pool) {
+  await db.execute(
+    'INSERT INTO admin_audit_log (admin_id, action, target_email, reason, details, ip, request_id) VALUES (?, ?, ?, ?, ?, ?, ?)',
+    [req.admin.id, action, targetEmail, reason, details === null ? null : JSON.stringify(details), req.ip, req.id || null]
+  );
+  logger.info(`Admin ${req.admin.id}: ${action}${targetEmail ? ` for ${targetEmail}` : ''}`);
+}
+
+// The required reason for a change to a user, trimmed; returns { reason } or { error }
+function readAdminReason(body) {
+  const reason = typeof (body || {}).reason === 'string' ? body.reason.trim() : '';
+  if (!reason) {
+    return { error: 'reason is required' };
+  }
+  if (reason.length > MAX_ADMIN_REASON_LENGTH) {
+    return { error: `reason can be at most ${MAX_ADMIN_REASON_LENGTH} characters` };
+  }
+  return { reason };
+}
+
+function formatAdminUser(row) {
+  return {
+    email: row.email,
+    plan: row.plan,
+    storageUsed: Number(row.storage_used),
+    storageLimit: Number(row.storage_limit),
+    storageLimitOverride: row.storage_limit_override === null ? null : Number(row.storage_limit_override),
+    suspended: Boolean(row.suspended_at),
+    suspendedAt: row.suspended_at,
+    suspendedReason: row.suspended_reason,
+    fileCount: row.file_count === undefined ? undefined : Number(row.file_count)
+  };
+}
+
+function formatPayment(row) {
+  return {
+    referenceId: row.reference_id,
+    email: row.email,
+    plan: row.plan,
+    amount: row.amount === null ? null : Number(row.amount),
+    currency: row.currency,
+    status: row.payment_status,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+const ADMIN_USER_COLUMNS = `u.email, u.plan, u.storage_used, u.storage_limit, u.storage_limit_override, u.suspended_at, u.suspended_reason,
+  (SELECT COUNT(*) FROM file_tokens ft WHERE ft.user_email = u.email AND ft.deleted_at IS NULL) AS file_count`;
+
+async function getAdminUser(userEmail) {
+  const [rows] = await pool.execute(`SELECT ${ADMIN_USER_COLUMNS} FROM users u WHERE u.email = ?`, [userEmail]);
+  return rows.length > 0 ? formatAdminUser(rows[0]) : null;
+}
+
+// Newest payments first, optionally for one user or status (the payments table may not exist, see findUnappliedPayments)
+async function listPayments({ email = null, status = null, limit = 50 } = {}) {
+  const conditions = [];
+  const params = [];
+  if (email) {
+    conditions.push('email = ?');
+    params.push(email);
+  }
+  if (status) {
+    conditions.push('payment_status = ?');
+    params.push(status);
+  }
+  try {
+    const [rows] = await pool.query(
+      `SELECT * FROM payments ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''} ORDER BY created_at DESC, id DESC LIMIT ?`,
+      [...params, limit]
+    );
+    return rows.map(formatPayment);
+  } catch (error) {
+    if (error.code === 'ER_NO_SUCH_TABLE') {
+      return [];
+    }
+    throw error;
+  }
+}
+
+// Lock the user's row in `connection`'s transaction; null if there is no such user
+async function lockUserRow(connection, userEmail) {
+  const [rows] = await connection.execute(
+    'SELECT email, plan, storage_limit, storage_limit_override, suspended_at FROM users WHERE email = ? FOR UPDATE',
+    [userEmail]
+  );
+  return rows[0] || null;
+}
+
+// Admin endpoint to search users by email, plan and suspension
+// Query: q (part of the email), plan, suspended (true|false), limit, offset
+app.get('/api/admin/users', requireAdmin, async (req, res) => {
+  const limit = Math.max(1, Math.min(parseInt(req.query.limit, 10) || 50, MAX_ADMIN_PAGE_SIZE));
+  const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+  const conditions = [];
+  const params = [];
+  if (req.query.q) {
+    conditions.push('u.email LIKE ?');
+    params.push(`%${String(req.query.q).replace(/[\\%_]/g, '\\$&')}%`);
+  }
+  if (req.query.plan) {
+    conditions.push('u.plan = ?');
+    params.push(req.query.plan);
+  }
+  if (req.query.suspended === 'true' || req.query.suspended === 'false') {
+    conditions.push(req.query.suspended === 'true' ? 'u.suspended_at IS NOT NULL' : 'u.suspended_at IS NULL');
+  }
+
+  try {
+    const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+    const [[{ total }]] = await pool.query(`SELECT COUNT(*) AS total FROM users u ${where}`, params);
+    const [rows] = await pool.query(
+      `SELECT ${ADMIN_USER_COLUMNS} FROM users u ${where} ORDER BY u.email LIMIT ? OFFSET ?`,
+      [...params, limit, offset]
+    );
+    res.json({ users: rows.map(formatAdminUser), total: Number(total), limit, offset });
+  } catch (error) {
+    logger.error(`Error searching users: ${error.message}`);
+    res.status(500).json({ error: 'Failed to search users' });
+  }
+});
+
+// Admin endpoint for one user's account, plan, usage, file counts, subscription and recent payments
+app.get('/api/admin/users/:email', requireAdmin, async (req, res) => {
+  const userEmail = req.params.email;
+
+  try {
+    const account = await getUserAccount(userEmail); // Also re-syncs storage_limit
+    if (!account) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    const [[files]] = await pool.execute(
+      `SELECT COALESCE(SUM(deleted_at IS NULL), 0) AS active, COALESCE(SUM(deleted_at IS NOT NULL), 0) AS trashed,
+              COALESCE(SUM(CASE WHEN deleted_at IS NULL THEN file_size END), 0) AS active_bytes,
+              COALESCE(SUM(CASE WHEN deleted_at IS NOT NULL THEN file_size END), 0) AS trashed_bytes
+       FROM file_tokens WHERE user_email = ?`,
+      [userEmail]
+    );
+    const [subscriptions] = await pool.execute('SELECT * FROM subscriptions WHERE user_email = ?', [userEmail]);
+
+    res.json({
+      user: await getAdminUser(userEmail),
+      plan: account.plan, // With the storage limit override applied
+      readOnly: isReadOnly(account),
+      usage: await usageSummary(userEmail, account.plan),
+      files: {
+        active: Number(files.active),
+        trashed: Number(files.trashed),
+        activeBytes: Number(files.active_bytes),
+        trashedBytes: Number(files.trashed_bytes)
+      },
+      subscription: formatSubscription(subscriptions[0]),
+      recentPayments: await listPayments({ email: userEmail, limit: 10 })
+    });
+  } catch (error) {
+    logger.error(`Error fetching user ${userEmail}: ${error.message}`);
+    res.status(500).json({ error: 'Failed to fetch user' });
+  }
+});
+
+// Admin endpoint to list a user's files, newest first
+// Query: limit, offset, trashed (exclude by default, "include" or "only")
+app.get('/api/admin/users/:email/files', requireAdmin, async (req, res) => {
+  const limit = Math.max(1, Math.min(parseInt(req.query.limit, 10) || 50, MAX_ADMIN_PAGE_SIZE));
+  const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+  const trashed = req.query.trashed || 'exclude';
+  if (!['exclude', 'include', 'only'].includes(trashed)) {
+    return res.status(400).json({ error: 'trashed must be "exclude", "include" or "only"' });
+  }
+  const trashCondition = { exclude: 'AND ft.deleted_at IS NULL', include: '', only: 'AND ft.deleted_at IS NOT NULL' }[trashed];
+
+  try {
+    const [rows] = await pool.query(
+      `SELECT fm.id, fm.token, fm.file_name, fm.user_email, fm.size, fm.privacy, fm.views, fm.folder_id, fm.container, fm.created_at, fm.updated_at,
+              ${ENCODING_COLUMNS}, ft.deleted_at
+       FROM file_meta fm
+       JOIN file_tokens ft ON ft.token = fm.token
+       WHERE fm.user_email = ? ${trashCondition}
+       ORDER BY fm.created_at DESC, fm.id DESC
+       LIMIT ? OFFSET ?`,
+      [req.params.email, limit, offset]
+    );
+    res.json({
+      files: rows.map(row => ({ ...formatFileRow(row), deletedAt: row.deleted_at })),
+      limit,
+      offset
+    });
+  } catch (error) {
+    logger.error(`Error listing files of ${req.params.email}: ${error.message}`);
+    res.status(500).json({ error: 'Failed to list files' });
+  }
+});
+
+// Admin endpoint to move a user to another plan. Body: { plan, reason }
+app.put('/api/admin/users/:email/plan', requireAdmin, async (req, res) => {
+  const userEmail = req.params.email;
+  const { reason, error: reasonError } = readAdminReason(req.body);
+  if (reasonError) {
+    return res.status(400).json({ error: reasonError });
+  }
+
+  let connection;
+  try {
+    const catalog = await getPlanCatalog();
+    const key = String((req.body || {}).plan || '').toLowerCase();
+    const plan = catalog.plans.get(key) || catalog.plans.get(catalog.aliases.get(key)); // No fallback to the default plan here
+    if (!plan) {
+      return res.status(400).json({ error: 'Unknown plan', plans: [...catalog.plans.values()].map(catalogPlan => catalogPlan.name) });
+    }
+
+    connection = await pool.getConnection();
+    await connection.beginTransaction();
+    const user = await lockUserRow(connection, userEmail);
+    if (!user) {
+      await connection.rollback();
+      return res.status(404).json({ error: 'User not found' });
+    }
+    await connection.execute(
+      'UPDATE users SET plan = ?, storage_limit = COALESCE(storage_limit_override, ?) WHERE email = ?',
+      [plan.name, plan.storageLimit, userEmail]
+    );
+    await recordAdminAction(req, 'user.plan_changed', { targetEmail: userEmail, reason, details: { from: user.plan, to: plan.name } }, connection);
+    await connection.commit();
+
+    res.json(await getAdminUser(userEmail));
+  } catch (error) {
+    if (connection) {
+      await connection.rollback().catch(rollbackError => logger.error(`Rollback failed: ${rollbackError.message}`));
+    }
+    logger.error(`Error changing plan of ${userEmail}: ${error.message}`);
+    res.status(500).json({ error: 'Failed to change plan' });
+  } finally {
+    if (connection) {
+      connection.release();
+    }
+  }
+});
+
+// Admin endpoint to set or clear (null) a user's storage limit override. Body: { storageLimit, reason }
+app.put('/api/admin/users/:email/storage-limit', requireAdmin, async (req, res) => {
+  const userEmail = req.params.email;
+  const { storageLimit } = req.body || {};
+  const { reason, error: reasonError } = readAdminReason(req.body);
+  if (reasonError) {
+    return res.status(400).json({ error: reasonError });
+  }
+  if (storageLimit !== null && (!Number.isSafeInteger(storageLimit) || storageLimit < 0)) {
+    return res.status(400).json({ error: 'storageLimit must be a byte count, or null to use the plan\'s limit' });
+  }
+
+  let connection;
+  try {
+    connection = await pool.getConnection();
+    await connection.beginTransaction();
+    const user = await lockUserRow(connection, userEmail);
+    if (!user) {
+      await connection.rollback();
+      return res.status(404).json({ error: 'User not found' });
+    }
+    const plan = await resolvePlan(user.plan);
+    await connection.execute(
+      'UPDATE users SET storage_limit_override = ?, storage_limit = ? WHERE email = ?',
+      [storageLimit, storageLimit === null ? plan.storageLimit : storageLimit, userEmail]
+    );
+    await recordAdminAction(req, 'user.storage_limit_changed', {
+      targetEmail: userEmail,
+      reason,
+      details: {
+        from: user.storage_limit_override === null ? null : Number(user.storage_limit_override),
+        to: storageLimit,
+        planStorageLimit: plan.storageLimit
+      }
+    }, connection);
+    await connection.commit();
+
+    res.json(await getAdminUser(userEmail));
+  } catch (error) {
+    if (connection) {
+      await connection.rollback().catch(rollbackError => logger.error(`Rollback failed: ${rollbackError.message}`));
+    }
+    logger.error(`Error changing storage limit of ${userEmail}: ${error.message}`);
+    res.status(500).json({ error: 'Failed to change storage limit' });
+  } finally {
+    if (connection) {
+      connection.release();
+    }
+  }
+});
+
+// Suspend (true) or unsuspend (false) a user for the admin making `req`; returns { status, body }
+async function setUserSuspended(req, userEmail, suspend, reason) {
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+    const user = await lockUserRow(connection, userEmail);
+    if (!user) {
+      await connection.rollback();
+      return { status: 404, body: { error: 'User not found' } };
+    }
+    if (Boolean(user.suspended_at) === suspend) {
+      await connection.rollback();
+      return { status: 409, body: { error: suspend ? 'User is already suspended' : 'User is not suspended' } };
+    }
+    await connection.execute(
+      suspend
+        ? 'UPDATE users SET suspended_at = NOW(), suspended_reason = ? WHERE email = ?'
+        : 'UPDATE users SET suspended_at = NULL, suspended_reason = NULL WHERE email = ?',
+      suspend ? [reason, userEmail] : [userEmail]
+    );
+    await recordAdminAction(req, suspend ? 'user.suspended' : 'user.unsuspended', { targetEmail: userEmail, reason }, connection);
+    await connection.commit();
+    return { status: 200, body: await getAdminUser(userEmail) };
+  } catch (error) {
+    await connection.rollback().catch(rollbackError => logger.error(`Rollback failed: ${rollbackError.message}`));
+    throw error;
+  } finally {
+    connection.release();
+  }
+}
+
+// Admin endpoint to suspend an account, which blocks its uploads and downloads. Body: { reason }
+app.post('/api/admin/users/:email/suspend', requireAdmin, async (req, res) => {
+  const { reason, error: reasonError } = readAdminReason(req.body);
+  if (reasonError) {
+    return res.status(400).json({ error: reasonError });
+  }
+
+  try {
+    const result = await setUserSuspended(req, req.params.email, true, reason);
+    res.status(result.status).json(result.body);
+  } catch (error) {
+    logger.error(`Error suspending ${req.params.email}: ${error.message}`);
+    res.status(500).json({ error: 'Failed to suspend user' });
+  }
+});
+
+// Admin endpoint to lift a suspension. Body: { reason }
+app.post('/api/admin/users/:email/unsuspend', requireAdmin, async (req, res) => {
+  const { reason, error: reasonError } = readAdminReason(req.body);
+  if (reasonError) {
+    return res.status(400).json({ error: reasonError });
+  }
+
+  try {
+    const result = await setUserSuspended(req, req.params.email, false, reason);
+    res.status(result.status).json(result.body);
+  } catch (error) {
+    logger.error(`Error unsuspending ${req.params.email}: ${error.message}`);
+    res.status(500).json({ error: 'Failed to unsuspend user' });
+  }
+});
+
+// Admin endpoint to list recent payments. Query: email, status, limit
+app.get('/api/admin/payments', requireAdmin, async (req, res) => {
+  try {
+    res.json(await listPayments({
+      email: req.query.email || null,
+      status: req.query.status || null,
+      limit: Math.max(1, Math.min(parseInt(req.query.limit, 10) || 50, MAX_ADMIN_PAGE_SIZE))
+    }));
+  } catch (error) {
+    logger.error(`Error listing payments: ${error.message}`);
+    res.status(500).json({ error: 'Failed to list payments' });
+  }
+});
+
+// Admin endpoint to read the audit log, newest first. Query: adminId, targetEmail, action, limit
+app.get('/api/admin/audit-log', requireAdmin, async (req, res) => {
+  const limit = Math.max(1, Math.min(parseInt(req.query.limit, 10) || 100, MAX_ADMIN_PAGE_SIZE));
+  const filters = { adminId: 'admin_id', targetEmail: 'target_email', action: 'action' };
+  const conditions = [];
+  const params = [];
+  for (const [param, column] of Object.entries(filters)) {
+    if (req.query[param]) {
+      conditions.push(`${column} = ?`);
+      params.push(req.query[param]);
+    }
+  }
+
+  try {
+    const [rows] = await pool.query(
+      `SELECT * FROM admin_audit_log ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''} ORDER BY id DESC LIMIT ?`,
+      [...params, limit]
+    );
+    res.json(rows.map(row => ({
+      id: row.id,
+      adminId: row.admin_id,
+      action: row.action,
+      targetEmail: row.target_email,
+      reason: row.reason,
+      details: row.details ? JSON.parse(row.details) : null,
+      ip: row.ip,
+      requestId: row.request_id,
+      createdAt: row.created_at
+    })));
+  } catch (error) {
+    logger.error(`Error reading admin audit log: ${error.message}`);
+    res.status(500).json({ error: 'Failed to read admin audit log' });
+  }
+});
+
+// --- Account Export and Deletion ---
+// POST /api/account/export queues an 'account-export' job that writes a .tar.gz of everything stored about the
+// caller: profile, plan, usage, subscription, payments, file metadata, folders, share links, webhooks, API keys,
+// view analytics and legacy JSON metadata. Video files aren't included, they download as usual. The archive is
+// kept on the disk of the server that built it for EXPORT_RETENTION_HOURS.
+// DELETE /api/account (or the admin endpoint) queues an 'account-deletion' job. It suspends the account, deletes
+// every file from storage through purgeFiles, then every row about the user, and finishes with a verification
+// report. Each step only works on what is left, so an interrupted or failed deletion resumes when it is
+// requested again. The deletion job itself and admin_audit_log entries are kept as the record of the deletion.
+
+const EXPORT_RETENTION_MS = (parseInt(process.env.EXPORT_RETENTION_HOURS, 10) || 24) * 60 * 60 * 1000;
+const EXPORT_CLEANUP_INTERVAL_MS = 60 * 60 * 1000;
+const ACCOUNT_DELETION_BATCH_SIZE = 100;
+
+// Where rows about a user live, deleted in this order; each condition takes the email as its only parameter
+const ACCOUNT_TABLES = [
+  ['file_tags', 'token IN (SELECT token FROM file_meta WHERE user_email = ?)'],
+  ['view_events', 'token IN (SELECT token FROM file_meta WHERE user_email = ?)'],
+  ['share_links', 'created_by = ?'],
+  ['file_meta', 'user_email = ?'],
+  ['file_tokens', 'user_email = ?'],
+  ['folders', 'user_email = ?'],
+  ['upload_sessions', 'user_email = ?'],
+  ['api_keys', 'user_email = ?'],
+  ['webhook_deliveries', 'endpoint_id IN (SELECT id FROM webhook_endpoints WHERE user_email = ?)'],
+  ['webhook_endpoints', 'user_email = ?'],
+  ['usage_counters', "subject = CONCAT('user:', ?)"],
+  ['subscription_payments', 'user_email = ?'],
+  ['subscriptions', 'user_email = ?'],
+  ['payment_events', 'reference_id IN (SELECT reference_id FROM payments WHERE email = ?)'],
+  ['payments', 'email = ?'],
+  ['storage_audit', 'user_email = ?'],
+  ['users', 'email = ?']
+];
+
+function exportArchivePath(jobId) {
+  return path.join(exportsDir, `${path.basename(jobId)}.tar.gz`);
+}
+
+// Where the user's pre-migration JSON metadata (and /upload staging files) are kept
+function legacyMetadataDir(userEmail) {
+  return path.join(videosDir, path.basename(userEmail));
+}
+
+// pool.query on a table that may not exist (payments belongs to the payment integration, see findUnappliedPayments)
+async function queryIfTableExists(sql, params, fallback) {
+  try {
+    const [result] = await pool.query(sql, params);
+    return result;
+  } catch (error) {
+    if (error.code === 'ER_NO_SUCH_TABLE') {
+      return fallback;
+    }
+    throw error;
+  }
+}
+
+// The user's queued or running job of `type`, so asking twice doesn't start a second one
+async function findActiveJob(type, userEmail) {
+  const [rows] = await pool.execute(
+    "SELECT * FROM jobs WHERE type = ? AND user_email = ? AND status IN ('queued', 'running') ORDER BY created_at LIMIT 1",
+    [type, userEmail]
+  );
+  return rows[0] || null;
+}
+
+async function readLegacyMetadata(userEmail) {
+  const dir = legacyMetadataDir(userEmail);
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+  const entries = [];
+  for (const file of (await fs.promises.readdir(dir)).filter(name => /\.json(\.imported)?$/.test(name))) {
+    const content = await fs.promises.readFile(path.join(dir, file), 'utf8');
+    try {
+      entries.push({ file, metadata: JSON.parse(content) });
+    } catch (error) {
+      entries.push({ file, content }); // Kept as found
+    }
+  }
+  return entries;
+}
+
+// The export's [fileName, data] entries
+async function buildAccountExport(userEmail) {
+  const account = await getUserAccount(userEmail);
+  if (!account) {
+    throw new Error('User not found');
+  }
+
+  const [subscriptions] = await pool.execute('SELECT * FROM subscriptions WHERE user_email = ?', [userEmail]);
+  const payments = await queryIfTableExists('SELECT * FROM payments WHERE email = ? ORDER BY created_at', [userEmail], []);
+  const [subscriptionPayments] = await pool.execute(
+    'SELECT payment_reference, plan, period_start, period_end, applied_at FROM subscription_payments WHERE user_email = ? ORDER BY applied_at',
+    [userEmail]
+  );
+  const [files] = await pool.execute(
+    `SELECT fm.id, fm.token, fm.file_name, fm.user_email, fm.size, fm.privacy, fm.views, fm.folder_id, fm.container, fm.created_at, fm.updated_at,
+            ${ENCODING_COLUMNS}, ft.deleted_at
+     FROM file_meta fm
+     JOIN file_tokens ft ON ft.token = fm.token
+     WHERE fm.user_email = ?
+     ORDER BY fm.created_at, fm.id`,
+    [userEmail]
+  );
+  const [tagRows] = await pool.execute(
+    'SELECT t.token, t.tag FROM file_tags t JOIN file_meta fm ON fm.token = t.token WHERE fm.user_email = ? ORDER BY t.tag',
+    [userEmail]
+  );
+  const [folders] = await pool.execute(
+    'SELECT id, parent_id, name, created_at, updated_at FROM folders WHERE user_email = ? ORDER BY id',
+    [userEmail]
+  );
+  const [shareLinks] = await pool.execute(
+    'SELECT id, file_token, expires_at, max_uses, use_count, revoked_at, created_at FROM share_links WHERE created_by = ? ORDER BY created_at',
+    [userEmail]
+  );
+  const [webhookEndpoints] = await pool.execute( // Without the signing secrets
+    'SELECT id, url, description, events, active, created_at, updated_at FROM webhook_endpoints WHERE user_email = ? ORDER BY id',
+    [userEmail]
+  );
+  const [apiKeys] = await pool.execute( // Only the prefix, the keys themselves are never stored
+    'SELECT id, name, key_prefix, created_at, last_used_at, revoked_at FROM api_keys WHERE user_email = ? ORDER BY id',
+    [userEmail]
+  );
+  // Aggregates only: the view events hold other people's (hashed) identities
+  const [dailyViews] = await pool.execute(
+    `SELECT ve.token, DATE_FORMAT(ve.created_at, '%Y-%m-%d') AS day, COUNT(*) AS views, COUNT(DISTINCT ve.viewer_hash) AS uniqueViewers
+     FROM view_events ve JOIN file_meta fm ON fm.token = ve.token
+     WHERE fm.user_email = ? GROUP BY ve.token, day ORDER BY ve.token, day`,
+    [userEmail]
+  );
+  const [referrers] = await pool.execute(
+    `SELECT ve.token, COALESCE(ve.referrer_host, 'direct') AS host, COUNT(*) AS views
+     FROM view_events ve JOIN file_meta fm ON fm.token = ve.token
+     WHERE fm.user_email = ? GROUP BY ve.token, host ORDER BY ve.token, views DESC`,
+    [userEmail]
+  );
+
+  for (const file of files) {
+    file.tags = tagRows.filter(row => row.token === file.token).map(row => row.tag);
+  }
+  const contents = {
+    'profile.json': 'Account, storage, usage and subscription',
+    'plan.json': 'Current plan and its limits',
+    'payments.json': 'Payments and the subscription periods they paid for',
+    'files.json': 'Metadata of every file, including files in the trash',
+    'folders.json': 'Folders',
+    'share-links.json': 'Share links created for private files',
+    'webhooks.json': 'Webhook endpoints (without their secrets)',
+    'api-keys.json': 'API keys (name and prefix only)',
+    'analytics.json': 'Daily views, unique viewers and referrers per file',
+    'legacy-metadata.json': 'JSON metadata files kept from before file metadata moved to the database'
+  };
+
+  return [
+    ['manifest.json', {
+      format: 'vidplo-account-export',
+      version: 1,
+      userEmail,
+      generatedAt: new Date().toISOString(),
+      contents,
+      note: 'Video files are not included. Download them with /api/initiate-download/:token.'
+    }],
+    ['profile.json', {
+      email: userEmail,
+      plan: account.plan.name,
+      storageUsed: Number(account.user.storage_used),
+      storageLimit: account.plan.storageLimit,
+      readOnly: isReadOnly(account),
+      suspended: Boolean(account.user.suspended_at),
+      usage: await usageSummary(userEmail, account.plan),
+      subscription: formatSubscription(subscriptions[0])
+    }],
+    ['plan.json', account.plan],
+    ['payments.json', {
+      payments: payments.map(formatPayment),
+      subscriptionPeriods: subscriptionPayments.map(row => ({
+        paymentReference: row.payment_reference,
+        plan: row.plan,
+        periodStart: row.period_start,
+        periodEnd: row.period_end,
+        appliedAt: row.applied_at
+      }))
+    }],
+    ['files.json', files.map(row => ({ ...formatFileRow(row), deletedAt: row.deleted_at }))],
+    ['folders.json', folders.map(row => ({ id: row.id, parentId: row.parent_id, name: row.name, createdAt: row.created_at, updatedAt: row.updated_at }))],
+    ['share-links.json', shareLinks.map(row => ({
+      id: row.id,
+      token: row.file_token,
+      expiresAt: row.expires_at,
+      maxUses: row.max_uses,
+      useCount: row.use_count,
+      revokedAt: row.revoked_at,
+      createdAt: row.created_at
+    }))],
+    ['webhooks.json', webhookEndpoints.map(row => ({
+      id: row.id,
+      url: row.url,
+      description: row.description,
+      events: JSON.parse(row.events),
+      active: Boolean(row.active),
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    }))],
+    ['api-keys.json', apiKeys.map(row => ({
+      id: row.id,
+      name: row.name,
+      prefix: row.key_prefix,
+      createdAt: row.created_at,
+      lastUsedAt: row.last_used_at,
+      revokedAt: row.revoked_at
+    }))],
+    ['analytics.json', files.map(file => ({
+      token: file.token,
+      fileName: file.file_name,
+      views: file.views || 0,
+      daily: dailyViews.filter(row => row.token === file.token)
+        .map(row => ({ day: row.day, views: Number(row.views), uniqueViewers: Number(row.uniqueViewers) })),
+      referrers: referrers.filter(row => row.token === file.token).map(row => ({ host: row.host, views: Number(row.views) }))
+    }))],
+    ['legacy-metadata.json', await readLegacyMetadata(userEmail)]
+  ];
+}
+
+jobHandlers['account-export'] = async (job) => {
+  const entries = await buildAccountExport(job.user_email);
+  const archive = await createTarGz(entries.map(([name, data]) => ({ name, content: JSON.stringify(data, null, 2) })));
+  await fs.promises.writeFile(exportArchivePath(job.id), archive);
+  return {
+    downloadUrl: `/api/account/exports/${job.id}`,
+    size: archive.length,
+    expiresAt: new Date(Date.now() + EXPORT_RETENTION_MS),
+    files: entries.map(([name]) => name)
+  };
+};
+
+// Scheduled job: remove export archives older than EXPORT_RETENTION_HOURS
+async function cleanupExpiredExports() {
+  const cutoff = Date.now() - EXPORT_RETENTION_MS;
+  for (const file of await fs.promises.readdir(exportsDir)) {
+    const filePath = path.join(exportsDir, file);
+    if ((await fs.promises.stat(filePath)).mtimeMs < cutoff) {
+      removeLocalFile(filePath);
+    }
+  }
+}
+
+// Check that nothing about the user is left in the database, in storage or on local disk
+async function verifyAccountDeleted(userEmail, deletionJobId) {
+  const remainingRecords = {};
+  for (const [table, condition] of ACCOUNT_TABLES) {
+    const [{ count }] = await queryIfTableExists(`SELECT COUNT(*) AS count FROM ${table} WHERE ${condition}`, [userEmail], [{ count: 0 }]);
+    if (Number(count) > 0) {
+      remainingRecords[table] = Number(count);
+    }
+  }
+  const [[{ count: jobs }]] = await pool.execute('SELECT COUNT(*) AS count FROM jobs WHERE user_email = ? AND id <> ?', [userEmail, deletionJobId]);
+  if (Number(jobs) > 0) {
+    remainingRecords.jobs = Number(jobs);
+  }
+
+  let remoteFiles = null;
+  let remoteFilesError;
+  try {
+    remoteFiles = (await storage.listFiles(userEmail)).length;
+  } catch (error) {
+    remoteFilesError = error.message; // The storage inventory couldn't be checked
+  }
+  const localDataRemains = fs.existsSync(legacyMetadataDir(userEmail));
+
+  return {
+    verified: Object.keys(remainingRecords).length === 0 && remoteFiles === 0 && !localDataRemains,
+    remainingRecords,
+    remoteFiles,
+    remoteFilesError,
+    localDataRemains,
+    checkedAt: new Date()
+  };
+}
+
+jobHandlers['account-deletion'] = async (job, reportProgress) => {
+  const userEmail = job.user_email;
+
+  // Nothing can be uploaded or downloaded while the account is taken apart
+  await pool.execute(
+    "UPDATE users SET suspended_at = COALESCE(suspended_at, NOW()), suspended_reason = COALESCE(suspended_reason, 'Account deletion in progress') WHERE email = ?",
+    [userEmail]
+  );
+
+  // Every file goes through the trash purge; records go only once storage confirmed the delete
+  const failed = new Map(); // Token -> error
+  const skipped = new Set(); // Failed, or being purged by another run
+  let filesDeleted = 0;
+  for (;;) {
+    await pool.execute( // Each time, so a file restored in the meantime is trashed again
+      'UPDATE file_tokens SET deleted_at = NOW() WHERE user_email = ? AND deleted_at IS NULL',
+      [userEmail]
+    );
+    const [files] = await pool.query(
+      `SELECT token, user_email, file_size, usage_released FROM file_tokens
+       WHERE user_email = ? ${skipped.size > 0 ? 'AND token NOT IN (?)' : ''} ORDER BY id LIMIT ?`,
+      skipped.size > 0 ? [userEmail, [...skipped], ACCOUNT_DELETION_BATCH_SIZE] : [userEmail, ACCOUNT_DELETION_BATCH_SIZE]
+    );
+    if (files.length === 0) {
+      break;
+    }
+    const { purged, failed: batchFailed } = await purgeFiles(files);
+    for (const { token, error } of batchFailed) {
+      failed.set(token, error);
+    }
+    const purgedTokens = new Set(purged.map(file => file.token));
+    files.filter(file => !purgedTokens.has(file.token)).forEach(file => skipped.add(file.token));
+    filesDeleted += purged.length;
+    await reportProgress(job.processed + filesDeleted);
+  }
+
+  // Anything storage still holds for the user without a record here
+  let orphansDeleted = 0;
+  let inventory = [];
+  try {
+    inventory = await storage.listFiles(userEmail);
+  } catch (error) {
+    logger.warn(`Could not list storage files of ${userEmail} for deletion: ${error.message}`);
+  }
+  await mapWithConcurrency(inventory, BULK_STORAGE_CONCURRENCY, async (file) => {
+    try {
+      await storage.deleteFile({ token: file.token, userEmail });
+      orphansDeleted++;
+    } catch (error) {
+      failed.set(file.token, error.message);
+    }
+  });
+
+  if (failed.size > 0) {
+    throw new Error(`${failed.size} file(s) could not be deleted from storage (${[...failed.values()][0]}), request the deletion again to retry`);
+  }
+
+  // Local data: partial resumable uploads, export archives and legacy metadata
+  const [sessions] = await pool.execute('SELECT id FROM upload_sessions WHERE user_email = ?', [userEmail]);
+  sessions.forEach(session => removeLocalFile(sessionPartPath(session.id)));
+  const [exportJobs] = await pool.execute("SELECT id FROM jobs WHERE user_email = ? AND type = 'account-export'", [userEmail]);
+  exportJobs.forEach(exportJob => removeLocalFile(exportArchivePath(exportJob.id)));
+  await fs.promises.rm(legacyMetadataDir(userEmail), { recursive: true, force: true });
+
+  const deletedRecords = {};
+  for (const [table, condition] of ACCOUNT_TABLES) {
+    const result = await queryIfTableExists(`DELETE FROM ${table} WHERE ${condition}`, [userEmail], { affectedRows: 0 });
+    deletedRecords[table] = result.affectedRows;
+  }
+  const [jobsResult] = await pool.execute('DELETE FROM jobs WHERE user_email = ? AND id <> ?', [userEmail, job.id]);
+  deletedRecords.jobs = jobsResult.affectedRows;
+
+  const verification = await verifyAccountDeleted(userEmail, job.id);
+  logger.info(`Account ${userEmail} deleted: ${filesDeleted} file(s), ${verification.verified ? 'verified' : 'verification found leftovers'}`);
+  return { filesDeleted, orphansDeleted, deletedRecords, verification };
+};
+
+// Queue the deletion of an account, or return the one already in progress -> { jobId, status }
+async function requestAccountDeletion(userEmail) {
+  const active = await findActiveJob('account-deletion', userEmail);
+  if (active) {
+    return { jobId: active.id, status: active.status };
+  }
+  const [[{ files }]] = await pool.execute('SELECT COUNT(*) AS files FROM file_tokens WHERE user_email = ?', [userEmail]);
+  return { jobId: await enqueueJob('account-deletion', userEmail, {}, Number(files)), status: 'queued' };
+}
+
+// API endpoint to start an export of the caller's data; poll the job, then download its result's downloadUrl
+app.post('/api/account/export', authenticateRequest, requireUser, async (req, res) => {
+  try {
+    const active = await findActiveJob('account-export', req.user.email);
+    const jobId = active ? active.id : await enqueueJob('account-export', req.user.email, {}, 1);
+    res.set('Location', `/api/jobs/${jobId}`);
+    res.status(202).json({ jobId, status: active ? active.status : 'queued' });
+  } catch (error) {
+    logger.error(`Error starting account export: ${error.message}`);
+    res.status(500).json({ error: 'Failed to start account export' });
+  }
+});
+
+// API endpoint to download a finished export archive
+app.get('/api/account/exports/:id', authenticateRequest, requireUser, async (req, res) => {
+  try {
+    const [rows] = await pool.execute(
+      "SELECT * FROM jobs WHERE id = ? AND user_email = ? AND type = 'account-export'",
+      [req.params.id, req.user.email]
+    );
+    if (rows.length === 0) {
+      return res.status(404).json({ error: 'Export not found' });
+    }
+    if (rows[0].status !== 'completed') {
+      return res.status(409).json({ error: 'Export is not ready', status: rows[0].status });
+    }
+    const archivePath = exportArchivePath(rows[0].id);
+    if (!fs.existsSync(archivePath)) {
+      return res.status(410).json({ error: 'Export has expired, request a new one' });
+    }
+    const day = new Date(rows[0].finished_at).toISOString().slice(0, 10);
+    res.download(archivePath, `vidplo-export-${day}.tar.gz`);
+  } catch (error) {
+    logger.error(`Error downloading account export: ${error.message}`);
+    res.status(500).json({ error: 'Failed to download account export' });
+  }
+});
+
+// API endpoint to delete the caller's account and all its data. Body: { confirm: "<the account's email>" }
+app.delete('/api/account', authenticateRequest, requireUser, async (req, res) => {
+  if (req.user.authMethod !== 'jwt') {
+    return res.status(403).json({ error: 'The account can only be deleted with a signed-in session' });
+  }
+  if ((req.body || {}).confirm !== req.user.email) {
+    return res.status(400).json({ error: 'Set "confirm" to the account\'s email to delete it' });
+  }
+
+  try {
+    const { jobId, status } = await requestAccountDeletion(req.user.email);
+    logger.info(`Account deletion ${jobId} requested by ${req.user.email}`);
+    res.set('Location', `/api/jobs/${jobId}`);
+    res.status(202).json({ jobId, status });
+  } catch (error) {
+    logger.error(`Error requesting account deletion: ${error.message}`);
+    res.status(500).json({ error: 'Failed to start account deletion' });
+  }
+});
+
+// Admin endpoint to delete an account and all its data. Body: { reason }
+app.post('/api/admin/users/:email/delete', requireAdmin, async (req, res) => {
+  const { reason, error: reasonError } = readAdminReason(req.body);
+  if (reasonError) {
+    return res.status(400).json({ error: reasonError });
+  }
+
+  try {
+    if (!await getAdminUser(req.params.email)) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    const { jobId, status } = await requestAccountDeletion(req.params.email);
+    await recordAdminAction(req, 'user.deletion_requested', { targetEmail: req.params.email, reason, details: { jobId } });
+    res.set('Location', `/api/admin/jobs/${jobId}`);
+    res.status(202).json({ jobId, status });
+  } catch (error) {
+    logger.error(`Error requesting deletion of ${req.params.email}: ${error.message}`);
+    res.status(500).json({ error: 'Failed to start account deletion' });
+  }
+});
+
+// Admin endpoint to check any job, e.g. an account deletion and its verification report
+app.get('/api/admin/jobs/:id', requireAdmin, async (req, res) => {
+  try {
+    const [rows] = await pool.execute('SELECT * FROM jobs WHERE id = ?', [req.params.id]);
+    if (rows.length === 0) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    res.json({ ...formatJob(rows[0]), userEmail: rows[0].user_email });
+  } catch (error) {
+    logger.error(`Failed to fetch job ${req.params.id}: ${error.message}`);
+    res.status(500).json({ error: 'Failed to fetch job' });
   }
 });
 
 // --- Global Error Handler ---
 app.use((err, req, res, next) => {
   logger.error(`Internal Server Error: ${err.stack}`);
-  res.status(500).json({ error: 'Internal Server Error' });
+  res.status(500).json({ error: 'Internal Server Error', requestId: req.id }); // Lets a report be matched with the logs
 });
 
 // --- Start the Server ---